@@ -8,7 +8,7 @@ Autor: Sandro De Sena Machado - Geospatial Data Scientist
 
 */
 
-var geometry = 
+var geometry =
     /* color: #0b4a8b */
     /* shown: false */
     ee.Geometry.Polygon(
@@ -17,892 +17,5166 @@ var geometry =
           [-55.906634068392215, -13.336554634910579],
           [-55.906634068392215, -11.200339407332578]]], null, false);
 
+/********************* CONFIGURATION ******************************/
+
+// Every stage of the workflow reads its parameters from this object.
+// To run another municipality or year, edit the values below (or pass a
+// different object to runPipeline) instead of the code further down.
+var config = {
+  // Region of interest (ee.Geometry)
+  aoi: geometry,
+
+  // Year of the mosaic and of the reference dataset
+  year: 2017,
+
+  // Satellites used to build the annual mosaic: 'auto' picks the Landsat
+  // sensors available for the year, or give a key / list of keys of SENSORS
+  sensor: 'auto',
+
+  // Apply cross-sensor coefficients so TM and ETM+ match OLI reflectance
+  harmonize: true,
+
+  // Cloud and shadow masking
+  // - strategy: 'qaBits' (QA_PIXEL bits in qaBits) or 'confidence' (QA_PIXEL
+  //   cloud/shadow/cirrus confidence at or above confidence)
+  // - dilation: buffer (meters) grown around clouds and shadows
+  // - maxCloudCover: scene-level CLOUD_COVER cutoff, null to keep every scene
+  // - minClearObservations: pixels with fewer clear observations in the year
+  //   are flagged and, with excludeFromSampling, never sampled
+  cloudMask: {
+    strategy: 'qaBits',
+    qaBits: [0, 1, 2, 3, 4],
+    confidence: 'medium',
+    dilation: 0,
+    saturation: true,
+    maxCloudCover: null,
+    minClearObservations: 3,
+    excludeFromSampling: true
+  },
+
+  // Spectral indices added to every Landsat image (see INDEX_REGISTRY)
+  indices: ['NDVI', 'EVI', 'NDWI', 'NDWI_VEG', 'MNDWI', 'NBR', 'GCVI', 'HALLCOVER', 'PRI', 'BSI'],
+
+  // Features computed from the Landsat collection. Band names are generated
+  // from these settings (see getTemporalFeatureNames), e.g. NDVI_median,
+  // NDVI_p90, NDVI_amplitude or NDVI_DRY_median.
+  temporalFeatures: {
+    // Statistics over the calendar year: {statistic: [bands]}
+    annual: {
+      median: ['BLUE', 'GREEN', 'RED', 'NIR', 'SWIR1', 'SWIR2',
+        'NDVI', 'EVI', 'NDWI', 'NDWI_VEG', 'MNDWI', 'NBR', 'GCVI', 'HALLCOVER', 'PRI', 'BSI'],
+      stdDev: ['EVI', 'NDVI', 'GCVI', 'PRI', 'BSI', 'HALLCOVER'],
+      min: ['NDVI', 'GCVI', 'PRI', 'EVI'],
+      max: ['NDVI', 'GCVI', 'PRI', 'EVI']
+    },
+    // Percentiles over the calendar year
+    percentiles: {
+      values: [10, 25, 75, 90],
+      bands: ['NDVI', 'EVI', 'NDWI_VEG']
+    },
+    // Difference between the high and the low percentile
+    amplitude: {
+      low: 10,
+      high: 90,
+      bands: ['NDVI', 'EVI', 'NDWI_VEG']
+    },
+    // Date windows as 'MM-DD' (end included). A window whose end comes before
+    // its start begins in the previous year.
+    seasons: [
+      {name: 'WET', start: '10-01', end: '03-31'},
+      {name: 'DRY', start: '05-01', end: '09-30'}
+    ],
+    // Statistics computed for every season: {statistic: [bands]}
+    seasonal: {
+      median: ['NIR', 'SWIR1', 'NDVI', 'EVI', 'NDWI_VEG', 'BSI']
+    }
+  },
+
+  // Optional Sentinel-2 stack (reflectance and red-edge indices)
+  // cloudMask: 'SCL' (scene classification) or 'probability' (s2cloudless)
+  sentinel2: {
+    enabled: false,
+    cloudMask: 'probability',
+    maxCloudProbability: 40,
+    indices: ['NDVI', 'NDRE', 'CIRE', 'MTCI', 'IRECI']
+  },
+
+  // Optional Sentinel-1 stack (VV, VH and VV/VH backscatter in dB)
+  // orbitPass: 'ASCENDING', 'DESCENDING' or null to use both
+  sentinel1: {
+    enabled: false,
+    orbitPass: null,
+    speckleRadius: 50
+  },
+
+  // Reference dataset (MapBiomas Collection 8)
+  reference: {
+    asset: 'projects/mapbiomas-public/assets/brazil/lulc/collection8/mapbiomas_collection80_integration_v1',
+    bandPrefix: 'classification_'
+  },
+
+  // Stratified sampling budget
+  sampling: {
+    numTotalPoints: 2000,
+    minPoints: 7,
+    maxPoints: 1000,
+    scale: 30,
+    seed: 42
+  },
+
+  // Training / validation split (fraction used for training)
+  // method: 'random' (per class), 'grid' or 'hexagon' (square / hexagonal
+  // blocks of blockSize meters) or 'polygons' (user blocks, one per feature).
+  // Blocks go whole to one side; buffer (meters) drops validation points
+  // closer than that to any training point
+  split: {
+    ratio: 0.7,
+    seed: 0,
+    method: 'grid',
+    blockSize: 5000,
+    blocks: null,
+    buffer: 0
+  },
+
+  // K-fold cross-validation of the Random Forest over all the samples
+  // method: 'random' (stratified per class) or 'grid' / 'hexagon' /
+  // 'polygons' (spatial folds, blocks built as in split)
+  crossValidation: {
+    enabled: false,
+    folds: 5,
+    method: 'grid',
+    seed: 7
+  },
+
+  // Classifier backend used by the workflow: 'randomForest',
+  // 'gradientTreeBoost', 'svm', 'cart', 'naiveBayes' or 'ensemble'
+  backend: 'randomForest',
+
+  // Correlation matrix, per-class signatures and pairwise class separability
+  // ('JM' Jeffries-Matusita or 'TD' transformed divergence) of the training
+  // samples. bands: null for all the predictors, or a shorter list (the
+  // class covariance matrices need more samples than bands)
+  separability: {
+    enabled: false,
+    measure: 'JM',
+    bands: null
+  },
+
+  // Reduce the predictors before training. method: null (keep all), 'topN'
+  // (the count most important), 'recursive' (drop the step least important
+  // and retrain until count are left, with the rest dropped at once on round
+  // maxRounds) or 'correlation' (drop bands correlated above maxCorrelation
+  // with a more important one)
+  featureSelection: {
+    method: null,
+    count: 15,
+    step: 5,
+    maxRounds: 3,
+    maxCorrelation: 0.9
+  },
+
+  // Random Forest settings (also used by the tuning and cross-validation)
+  classifier: {
+    numberOfTrees: 1000,
+    variablesPerSplit: null,
+    bagFraction: 0.5,
+    minLeafPopulation: 1,
+    seed: 123
+  },
+
+  // Settings of the other backends. SVM inputs are standardized and Naive
+  // Bayes inputs quantized with statistics of the training samples.
+  // ensemble.method: 'vote' (majority) or 'probability' (mean of the class
+  // probabilities, svm not supported)
+  backends: {
+    gradientTreeBoost: {numberOfTrees: 200, shrinkage: 0.05, samplingRate: 0.7, maxNodes: null, seed: 123},
+    svm: {kernelType: 'RBF', gamma: 0.5, cost: 10},
+    cart: {maxNodes: null, minLeafPopulation: 1},
+    naiveBayes: {lambda: 0.000001},
+    ensemble: {members: ['randomForest', 'gradientTreeBoost', 'svm'], method: 'vote'}
+  },
+
+  // Train the listed backends on the same samples and compare their accuracy
+  comparison: {
+    enabled: false,
+    backends: ['randomForest', 'gradientTreeBoost', 'svm', 'cart', 'naiveBayes', 'ensemble']
+  },
+
+  // Per-class probabilities and confidence layers: top-class probability,
+  // margin between the two most likely classes and normalized entropy.
+  // Pixels below minConfidence are low confidence; maskLowConfidence removes
+  // them from the map, candidatePoints of them are drawn (and exported) as
+  // sites for new reference data
+  probability: {
+    enabled: false,
+    minConfidence: 0.5,
+    maskLowConfidence: false,
+    candidatePoints: 200
+  },
+
+  // Hyperparameter search over the training samples only
+  // space: values of any of numberOfTrees, variablesPerSplit,
+  // minLeafPopulation, bagFraction and maxNodes, as a list or a
+  // {start, end, step} range (null keeps the Earth Engine default)
+  // search: 'grid' (every combination) or 'random' (budget combinations)
+  // scoring: 'holdout' (holdoutRatio of the training samples, per class) or
+  // 'cv' (folds, built with crossValidation.method)
+  tuning: {
+    enabled: true,
+    search: 'random',
+    budget: 20,
+    scoring: 'holdout',
+    holdoutRatio: 0.25,
+    folds: 3,
+    seed: 11,
+    space: {
+      numberOfTrees: {start: 50, end: 300, step: 50},
+      variablesPerSplit: [null, 4, 8, 16],
+      minLeafPopulation: [1, 2, 5],
+      bagFraction: {start: 0.3, end: 0.9, step: 0.2},
+      maxNodes: [null, 100, 500]
+    }
+  },
+
+  // Post-processing chain, applied in order; each step is assessed
+  //  - {type: 'majority', radius (m), kernelType: 'square' | 'circle'}
+  //  - {type: 'sieve', minArea (ha), radius (m), kernelType}: patches below
+  //    the minimum mapping unit take the majority of their surroundings
+  //  - {type: 'snic', size (px between seeds), compactness, bands}: each
+  //    segment of the mosaic takes its most frequent class
+  // protectedClasses (codes of the active legend, e.g. 24 Urban and 33
+  // Water in 'raw') are never changed
+  postProcessing: {
+    enabled: true,
+    protectedClasses: [24, 33],
+    steps: [
+      {type: 'sieve', minArea: 6.3, radius: 60, kernelType: 'square'}
+    ]
+  },
+
+  // Multi-year run: classify every year from startYear to endYear (instead of
+  // year) and apply the temporal filter to the stack of classifications
+  // - gapFill: fill masked pixels with the previous (or next) valid year
+  // - windows: sizes of the moving windows in which a class that differs
+  //   from the same class at both ends (e.g. Forest-Pasture-Forest) is
+  //   replaced by the class at the ends
+  // - frequency: pixels that are one of these classes in at least
+  //   threshold of the years get their most frequent class in those years
+  multiYear: {
+    enabled: false,
+    startYear: 2015,
+    endYear: 2020,
+    temporalFilter: {
+      gapFill: true,
+      windows: [3, 4, 5],
+      frequency: {classes: [3, 4, 11, 12], threshold: 0.7}
+    }
+  },
+
+  // Land cover change between classified years of a multi-year run
+  // - pairs: [fromYear, toYear] pairs, null to compare the first and last years
+  // - includePersistence: keep unchanged pixels in the matrix and chart
+  transitions: {
+    enabled: true,
+    pairs: null,
+    includePersistence: true
+  },
+
+  // Legend used to train and map: the MapBiomas codes are collapsed into a
+  // level of the MapBiomas hierarchy ('level1', 'level2', 'level3' or 'raw')
+  // or into a custom legend before sampling
+  // - excludeClasses: MapBiomas codes removed before sampling
+  // - assessLevels: coarser levels at which the accuracy is also reported
+  // - custom.mapping: {legendCode: [MapBiomas codes]}; unmapped codes are masked
+  legend: {
+    mode: 'raw',
+    excludeClasses: [0, 27],
+    assessLevels: ['level1', 'level2'],
+    custom: {
+      classes: {
+        1: {name: 'Forest', color: '#1f8d49'},
+        2: {name: 'Savanna', color: '#7dc975'},
+        3: {name: 'Pasture', color: '#edde8e'},
+        4: {name: 'Agriculture', color: '#E974ED'},
+        5: {name: 'Water', color: '#2532e4'},
+        6: {name: 'Other', color: '#d4271e'}
+      },
+      mapping: {
+        1: [3, 5, 6, 49],
+        2: [4, 11, 12, 13, 29, 32, 50],
+        3: [15, 21],
+        4: [9, 18, 19, 20, 35, 36, 39, 40, 41, 46, 47, 48, 62],
+        5: [26, 31, 33],
+        6: [22, 23, 24, 25, 30]
+      }
+    }
+  },
+
+  // Language of the class names and chart labels: 'en' or 'pt'
+  language: 'en',
+
+  // Area statistics, never approximated with bestEffort. In the Console they
+  // are computed at scale meters (null: the 30 m classification grid, which
+  // only works interactively on small AOIs, so set batch for large ones).
+  // batch: export the area and area-weighted accuracy tables as report tasks
+  // (needs exports.enabled and exports.include.reports), on the 30 m grid.
+  // zones: FeatureCollection or asset ID of polygons (municipalities,
+  // watersheds, properties) for a table of area per class per zone, each
+  // zone named by its zoneProperty
+  areas: {
+    scale: null,
+    batch: false,
+    zones: null,
+    zoneProperty: 'NM_MUN'
+  },
+
+  // Area-weighted accuracy assessment: target standard error of the overall
+  // accuracy and minimum samples per map class for the recommended sample size
+  accuracy: {
+    targetStandardError: 0.01,
+    minPerStratum: 50
+  },
+
+  // Classify year over aoi with a model saved by the exports (model: asset
+  // ID without the _metadata suffix) instead of training one. The predictor
+  // bands of this config must be those of the model, in any order (set
+  // config.predictors for a model with selected features); those whose mean
+  // moved more than
+  // shiftThreshold training standard deviations (over sampleSize pixels) are
+  // reported. assess: test the map against the reference of the year
+  apply: {
+    enabled: false,
+    model: null,
+    shiftThreshold: 0.5,
+    sampleSize: 1000,
+    assess: true
+  },
+
+  // Interactive app: a side panel to pick the AOI (config.aoi, a drawn
+  // polygon or a FeatureCollection asset), year, sensor, sample budget and
+  // tree count, and run the classification. The output goes to a panel
+  // instead of the Console
+  app: {
+    enabled: false
+  },
+
+  // Tiled run for large AOIs: the AOI is split into tiles, each classified,
+  // post-processed and exported to the `collection` ImageCollection asset
+  // (create it first) as its own task. Tiles already in the collection for
+  // this year are skipped; when all are done they are mosaicked back.
+  // scheme: 'grid' (tileSize meters) or 'wrs2' (footprints in the wrs2
+  // table, named by idProperty). overlap: meters added around each tile so
+  // the post-processing has no seams. The tiles are classified with the
+  // saved model of apply.model (whether apply.enabled or not): train and save
+  // it first with exports.include.models, so no tile task retrains it
+  tiling: {
+    enabled: false,
+    scheme: 'grid',
+    tileSize: 50000,
+    wrs2: null,
+    idProperty: 'PR',
+    overlap: 500,
+    collection: null,
+    assemble: true
+  },
+
+  // Exports, queued as tasks named <runId>_<name>
+  // target: 'drive' (into folder), 'cloudStorage' (into bucket, under
+  // folder) or 'asset' (into assetFolder). Trained models always go to
+  // assetFolder. runId: null for <prefix>_<start time of the run>
+  // include: what to export
+  exports: {
+    enabled: false,
+    target: 'drive',
+    folder: 'earthengine',
+    bucket: null,
+    assetFolder: null,
+    prefix: 'classified',
+    runId: null,
+    scale: 30,
+    maxPixels: 1e10,
+    include: {
+      map: true,
+      probabilities: true,
+      samples: true,
+      reports: true,
+      tuning: true,
+      models: false
+    }
+  }
+};
+
+
+/********************* CONFIG VALIDATION ******************************/
+
+// First year of the Landsat archive used for annual mosaics
+var FIRST_YEAR = 1985;
+
+function isPositiveInteger(value) {
+  return typeof value === 'number' && value > 0 && value % 1 === 0;
+}
+
+function isNumberBetween(value, min, max) {
+  return typeof value === 'number' && value >= min && value <= max;
+}
+
+function isSequence(range) {
+  return !!range && typeof range.start === 'number' && typeof range.end === 'number' &&
+    typeof range.step === 'number' && range.step > 0 && range.start <= range.end;
+}
+
+// Check the config on the client side and throw a single error listing every
+// problem, so a bad run fails before any Earth Engine request is made
+function validateConfig(config) {
+  var errors = [];
+
+  if (!config || typeof config !== 'object') {
+    throw new Error('Invalid config: expected an object.');
+  }
+
+  if (!config.aoi) {
+    errors.push('aoi is required (an ee.Geometry).');
+  }
+
+  var lastYear = new Date().getFullYear();
+  var errorCount = errors.length;
+  if (!isPositiveInteger(config.year) || !isNumberBetween(config.year, FIRST_YEAR, lastYear)) {
+    errors.push('year must be an integer between ' + FIRST_YEAR + ' and ' + lastYear + ', got ' + config.year + '.');
+  }
+
+  var multiYear = config.multiYear || {};
+  if (multiYear.enabled) {
+    if (!isPositiveInteger(multiYear.startYear) || !isPositiveInteger(multiYear.endYear) ||
+        multiYear.startYear < FIRST_YEAR || multiYear.endYear > lastYear || multiYear.startYear > multiYear.endYear) {
+      errors.push('multiYear.startYear and multiYear.endYear must be years between ' + FIRST_YEAR + ' and ' +
+        lastYear + ' with startYear <= endYear.');
+    }
+  }
+
+  // Years classified in this run
+  var years = errors.length === errorCount ? getRunYears(config) : [];
+
+  if (multiYear.enabled) {
+    validateTransitions(config.transitions, years, errors);
+  }
+
+  var sensorKeys = config.sensor === 'auto' ? [] : [].concat(config.sensor);
+  sensorKeys.forEach(function(key) {
+    if (!SENSORS.hasOwnProperty(key)) {
+      errors.push('sensor must be \'auto\' or one of ' + Object.keys(SENSORS).join(', ') + ', got ' + key + '.');
+      return;
+    }
+    var missing = years.filter(function(year) {
+      return !sensorCoversYear(SENSORS[key], year);
+    });
+    if (missing.length) {
+      errors.push('sensor ' + key + ' has no images for ' + missing.join(', ') + '.');
+    }
+  });
+  if (config.sensor !== 'auto' && !sensorKeys.length) {
+    errors.push('sensor must be \'auto\' or a non-empty list of sensor keys.');
+  }
+  if (typeof config.harmonize !== 'boolean') {
+    errors.push('harmonize must be true or false.');
+  }
+
+  validateCloudMask(config.cloudMask, errors);
+  checkClassCatalog(CLASS_CATALOG).forEach(function(problem) {
+    errors.push('CLASS_CATALOG: ' + problem);
+  });
+  var legendErrors = errors.length;
+  validateLegend(config.legend, errors);
+  // Classes of the active legend, null when the legend itself is invalid
+  var legendClasses = errors.length === legendErrors ? getLegendClasses(config) : null;
+  if (multiYear.enabled) {
+    validateTemporalFilter(multiYear.temporalFilter, legendClasses, errors);
+  }
+  if (LANGUAGES.indexOf(config.language) === -1) {
+    errors.push('language must be one of ' + LANGUAGES.join(', ') + '.');
+  }
+
+  validateIndices(config.indices, COMMON_BANDS, 'indices', errors);
+  validateTemporalFeatures(config.temporalFeatures, COMMON_BANDS.concat(config.indices || []), errors);
+
+  var s2 = config.sentinel2 || {};
+  if (s2.enabled) {
+    if (['SCL', 'probability'].indexOf(s2.cloudMask) === -1) {
+      errors.push('sentinel2.cloudMask must be \'SCL\' or \'probability\'.');
+    }
+    if (s2.cloudMask === 'probability' && !isNumberBetween(s2.maxCloudProbability, 0, 100)) {
+      errors.push('sentinel2.maxCloudProbability must be between 0 and 100.');
+    }
+    validateIndices(s2.indices, S2_NAMES, 'sentinel2.indices', errors);
+    if (years[0] < S2_FIRST_YEAR) {
+      errors.push('sentinel2 surface reflectance is only available from ' + S2_FIRST_YEAR + '.');
+    }
+  }
+
+  var s1 = config.sentinel1 || {};
+  if (s1.enabled) {
+    if ([null, 'ASCENDING', 'DESCENDING'].indexOf(s1.orbitPass) === -1) {
+      errors.push('sentinel1.orbitPass must be null, \'ASCENDING\' or \'DESCENDING\'.');
+    }
+    if (typeof s1.speckleRadius !== 'number' || s1.speckleRadius < 0) {
+      errors.push('sentinel1.speckleRadius must be a number >= 0 (meters, 0 disables the filter).');
+    }
+    if (years[0] < S1_FIRST_YEAR) {
+      errors.push('sentinel1 is only available from ' + S1_FIRST_YEAR + '.');
+    }
+  }
+
+  if (!config.reference || typeof config.reference.asset !== 'string' ||
+      typeof config.reference.bandPrefix !== 'string') {
+    errors.push('reference.asset and reference.bandPrefix must be strings.');
+  }
+
+  var sampling = config.sampling || {};
+  if (!isPositiveInteger(sampling.numTotalPoints)) {
+    errors.push('sampling.numTotalPoints must be a positive integer.');
+  }
+  if (!isPositiveInteger(sampling.minPoints) || !isPositiveInteger(sampling.maxPoints) ||
+      sampling.minPoints > sampling.maxPoints) {
+    errors.push('sampling.minPoints and sampling.maxPoints must be positive integers with minPoints <= maxPoints.');
+  }
+  if (!isPositiveInteger(sampling.scale)) {
+    errors.push('sampling.scale must be a positive integer (meters).');
+  }
+
+  var split = config.split || {};
+  if (typeof split.ratio !== 'number' || split.ratio <= 0 || split.ratio >= 1) {
+    errors.push('split.ratio must be a number between 0 and 1 (exclusive).');
+  }
+  if (SPLIT_METHODS.indexOf(split.method) === -1) {
+    errors.push('split.method must be one of: ' + SPLIT_METHODS.join(', ') + '.');
+  }
+
+  var cv = config.crossValidation || {};
+  var blockMethods = [split.method];
+  // Tuning by cross-validation builds its folds with crossValidation.method
+  var tuningCv = config.tuning && config.tuning.enabled && config.tuning.scoring === 'cv';
+  if (cv.enabled && (!isPositiveInteger(cv.folds) || cv.folds < 2)) {
+    errors.push('crossValidation.folds must be an integer >= 2.');
+  }
+  if (cv.enabled || tuningCv) {
+    if (SPLIT_METHODS.indexOf(cv.method) === -1) {
+      errors.push('crossValidation.method must be one of: ' + SPLIT_METHODS.join(', ') + '.');
+    }
+    blockMethods.push(cv.method);
+  }
+
+  if ((blockMethods.indexOf('grid') !== -1 || blockMethods.indexOf('hexagon') !== -1) &&
+      !(typeof split.blockSize === 'number' && split.blockSize > 0)) {
+    errors.push('split.blockSize must be a positive number (meters).');
+  }
+  if (blockMethods.indexOf('polygons') !== -1 && !split.blocks) {
+    errors.push('split.blocks must be a FeatureCollection when blocks are "polygons".');
+  }
+  if (typeof split.buffer !== 'number' || split.buffer < 0) {
+    errors.push('split.buffer must be a number >= 0 (meters).');
+  }
+
+  var rf = config.classifier || {};
+  if (!isPositiveInteger(rf.numberOfTrees)) {
+    errors.push('classifier.numberOfTrees must be a positive integer.');
+  }
+  if (rf.variablesPerSplit !== null && rf.variablesPerSplit !== undefined &&
+      !isPositiveInteger(rf.variablesPerSplit)) {
+    errors.push('classifier.variablesPerSplit must be null or a positive integer.');
+  }
+  if (typeof rf.bagFraction !== 'number' || rf.bagFraction <= 0 || rf.bagFraction > 1) {
+    errors.push('classifier.bagFraction must be in (0, 1].');
+  }
+  if (!isPositiveInteger(rf.minLeafPopulation)) {
+    errors.push('classifier.minLeafPopulation must be a positive integer.');
+  }
+
+  validateSeparability(config.separability || {}, errors);
+  validateFeatureSelection(config.featureSelection || {}, errors);
+  validateBackends(config, errors);
+  validateProbability(config, errors);
+
+  var tuning = config.tuning || {};
+  if (tuning.enabled) {
+    validateTuning(tuning, errors);
+  }
+
+  validatePostProcessing(config, legendClasses, errors);
+
+  validateAreas(config.areas || {}, config.exports || {}, errors);
+  validateAccuracy(config.accuracy || {}, errors);
+
+  validateExports(config.exports || {}, getModelBackends(config), errors);
+  validateApply(config.apply || {}, errors);
+  validateTiling(config.tiling || {}, config.apply || {}, errors);
+
+  if (errors.length) {
+    throw new Error('Invalid config:\n - ' + errors.join('\n - '));
+  }
+  return config;
+}
+
+
 /********************* PRE-PROCESSING ******************************/
 
-// Function to maks cloud and shadows from Landsat 8
-function maskL8sr(image) {
-  // Bit 0 - Fill
-  // Bit 1 - Dilated Cloud
-  // Bit 2 - Cirrus
-  // Bit 3 - Cloud
-  // Bit 4 - Cloud Shadow
-  var qaMask = image.select('QA_PIXEL').bitwiseAnd(parseInt('11111', 2)).eq(0);
-  var saturationMask = image.select('QA_RADSAT').eq(0);
+// Common names given to the optical bands of every sensor
+var COMMON_BANDS = ['BLUE', 'GREEN', 'RED', 'NIR', 'SWIR1', 'SWIR2'];
+
+// Landsat Collection 2 Level 2 sensors
+// - bands: original names in the order of COMMON_BANDS
+// - hasCirrus: whether QA_PIXEL flags cirrus (bit 2 and bits 14-15)
+// - years: period with images in the archive
+// - autoYears: periods in which 'auto' picks the sensor (Landsat 7 is only
+//   used before the SLC failure and in 2012, when it is the only option)
+// - harmonization: slopes and intercepts applied per band to match OLI
+var SENSORS = {
+  L5: {
+    collection: 'LANDSAT/LT05/C02/T1_L2',
+    bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'],
+    hasCirrus: false,
+    years: [1984, 2012],
+    autoYears: [[1985, 2011]],
+    harmonization: 'ETM_TO_OLI'
+  },
+  L7: {
+    collection: 'LANDSAT/LE07/C02/T1_L2',
+    bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'],
+    hasCirrus: false,
+    years: [1999, 2024],
+    autoYears: [[1999, 2002], [2012, 2012]],
+    harmonization: 'ETM_TO_OLI'
+  },
+  L8: {
+    collection: 'LANDSAT/LC08/C02/T1_L2',
+    bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'],
+    hasCirrus: true,
+    years: [2013, null],
+    autoYears: [[2013, null]],
+    harmonization: null
+  },
+  L9: {
+    collection: 'LANDSAT/LC09/C02/T1_L2',
+    bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'],
+    hasCirrus: true,
+    years: [2021, null],
+    autoYears: [[2022, null]],
+    harmonization: null
+  }
+};
+
+// Cross-sensor harmonization coefficients (Roy et al., 2016, OLS ETM+ to OLI),
+// in the order of COMMON_BANDS. TM uses the ETM+ coefficients.
+var HARMONIZATION = {
+  ETM_TO_OLI: {
+    slopes: [0.8474, 0.8483, 0.9047, 0.8462, 0.8937, 0.9071],
+    intercepts: [0.0003, 0.0088, 0.0061, 0.0412, 0.0254, 0.0172]
+  }
+};
+
+function isYearInRange(year, range) {
+  return year >= range[0] && (range[1] === null || year <= range[1]);
+}
+
+function sensorCoversYear(sensor, year) {
+  return isYearInRange(year, sensor.years);
+}
+
+// List the sensor keys used to build the mosaic of a given year
+function selectSensors(year, config) {
+  if (config.sensor !== 'auto') {
+    return [].concat(config.sensor);
+  }
+  return Object.keys(SENSORS).filter(function(key) {
+    return SENSORS[key].autoYears.some(function(range) {
+      return isYearInRange(year, range);
+    });
+  });
+}
+
+/********************* CLOUD MASKING ******************************/
+
+// QA_PIXEL bits
+// Bit 0 - Fill
+// Bit 1 - Dilated Cloud
+// Bit 2 - Cirrus (OLI only)
+// Bit 3 - Cloud
+// Bit 4 - Cloud Shadow
+// Bit 5 - Snow
+// Bits 8-9 - Cloud confidence, 10-11 - Cloud shadow confidence,
+// 14-15 - Cirrus confidence (OLI only)
+var QA_FILL_BIT = 0;
+var QA_CIRRUS_BIT = 2;
+
+// Confidence levels accepted by the 'confidence' strategy
+var QA_CONFIDENCE = {low: 1, medium: 2, high: 3};
+
+// Strategies to flag clouds and shadows in QA_PIXEL
+var CLOUD_MASK_STRATEGIES = ['qaBits', 'confidence'];
+
+// Read a 2-bit confidence value from QA_PIXEL
+function getQaConfidence(qa, firstBit) {
+  return qa.rightShift(firstBit).bitwiseAnd(3);
+}
+
+// Build the mask of clear pixels (1 = clear) of a Landsat image
+// - qaBits: pixels with any of settings.qaBits set are unusable
+// - confidence: pixels whose cloud, shadow or cirrus confidence reaches
+//   settings.confidence are unusable
+// Clouds and shadows are then grown by settings.dilation meters.
+function getClearMask(image, sensor, settings) {
+  var qa = image.select('QA_PIXEL');
+  var cloudy;
+
+  if (settings.strategy === 'confidence') {
+    var level = QA_CONFIDENCE[settings.confidence];
+    cloudy = getQaConfidence(qa, 8).gte(level)
+      .or(getQaConfidence(qa, 10).gte(level));
+    if (sensor.hasCirrus) {
+      cloudy = cloudy.or(getQaConfidence(qa, 14).gte(level));
+    }
+  } else {
+    // Cirrus is never flagged by TM and ETM+
+    var bits = settings.qaBits.filter(function(bit) {
+      return bit !== QA_FILL_BIT && (sensor.hasCirrus || bit !== QA_CIRRUS_BIT);
+    });
+    var value = bits.reduce(function(total, bit) {
+      return total + Math.pow(2, bit);
+    }, 0);
+    cloudy = qa.bitwiseAnd(value).neq(0);
+  }
+
+  // Buffer clouds and shadows
+  if (settings.dilation > 0) {
+    cloudy = cloudy.focal_max({radius: settings.dilation, kernelType: 'circle', units: 'meters'});
+  }
+
+  // Fill pixels are never dilated
+  var fill = qa.bitwiseAnd(Math.pow(2, QA_FILL_BIT)).neq(0);
+  return cloudy.not().and(fill.not());
+}
+
+// Check the cloudMask config, pushing messages into errors
+function validateCloudMask(settings, errors) {
+  if (!settings || CLOUD_MASK_STRATEGIES.indexOf(settings.strategy) === -1) {
+    errors.push('cloudMask.strategy must be one of ' + CLOUD_MASK_STRATEGIES.join(', ') + '.');
+    return;
+  }
+  if (settings.strategy === 'qaBits' && (!(settings.qaBits instanceof Array) || !settings.qaBits.every(function(bit) {
+    return isNumberBetween(bit, 0, 7) && bit % 1 === 0;
+  }))) {
+    errors.push('cloudMask.qaBits must be a list of QA_PIXEL bits between 0 and 7.');
+  }
+  if (settings.strategy === 'confidence' && !QA_CONFIDENCE.hasOwnProperty(settings.confidence)) {
+    errors.push('cloudMask.confidence must be one of ' + Object.keys(QA_CONFIDENCE).join(', ') + '.');
+  }
+  if (typeof settings.dilation !== 'number' || settings.dilation < 0) {
+    errors.push('cloudMask.dilation must be a number >= 0 (meters).');
+  }
+  if (typeof settings.saturation !== 'boolean') {
+    errors.push('cloudMask.saturation must be true or false.');
+  }
+  if (settings.maxCloudCover !== null && !isNumberBetween(settings.maxCloudCover, 0, 100)) {
+    errors.push('cloudMask.maxCloudCover must be null (no scene cutoff) or between 0 and 100.');
+  }
+  if (typeof settings.minClearObservations !== 'number' || settings.minClearObservations < 0 ||
+      settings.minClearObservations % 1 !== 0) {
+    errors.push('cloudMask.minClearObservations must be an integer >= 0.');
+  }
+  if (typeof settings.excludeFromSampling !== 'boolean') {
+    errors.push('cloudMask.excludeFromSampling must be true or false.');
+  }
+}
+
+
+// Function to mask clouds and shadows, scale the reflectance and rename
+// the optical bands of any Landsat sensor to the common names
+function prepareLandsat(sensorKey, config) {
+  var sensor = SENSORS[sensorKey];
+  var coefficients = config.harmonize && sensor.harmonization ? HARMONIZATION[sensor.harmonization] : null;
+
+  return function(image) {
+    var qaMask = getClearMask(image, sensor, config.cloudMask);
+
+    // Apply scale factors and offset
+    var opticalBands = image.select(sensor.bands, COMMON_BANDS).multiply(0.0000275).add(-0.2);
+
+    // Bring TM and ETM+ reflectance to the OLI scale
+    if (coefficients) {
+      opticalBands = opticalBands
+        .multiply(ee.Image.constant(coefficients.slopes))
+        .add(ee.Image.constant(coefficients.intercepts))
+        .rename(COMMON_BANDS);
+    }
+
+    // Keep only the corrected bands and apply the masks
+    var masked = opticalBands.updateMask(qaMask);
+    if (config.cloudMask.saturation) {
+      masked = masked.updateMask(image.select('QA_RADSAT').eq(0));
+    }
+    return ee.Image(masked
+        .copyProperties(image, ['system:time_start', 'CLOUD_COVER', 'SPACECRAFT_ID']))
+        .set('SENSOR', sensorKey);
+  };
+}
+
+/********************* SPECTRAL INDICES ******************************/
+
+// Registry of spectral indices. Expressions are written over the common band
+// aliases (BLUE, GREEN, RED, NIR, SWIR1, SWIR2 and, for Sentinel-2, RE1-RE4),
+// so the same formula runs on any sensor that provides those bands.
+var INDEX_REGISTRY = {};
+
+// Reflectance of a vegetated pixel, used to check every formula offline
+var REFERENCE_SPECTRUM = {
+  BLUE: 0.04, GREEN: 0.07, RED: 0.05, NIR: 0.35, SWIR1: 0.18, SWIR2: 0.09,
+  RE1: 0.10, RE2: 0.25, RE3: 0.32, RE4: 0.36
+};
+
+// Parse an arithmetic expression (numbers, band aliases, + - * / and
+// parentheses) into the list of bands it uses and a plain JavaScript evaluator
+function parseIndexExpression(expression) {
+  var tokens = expression.match(/\d*\.?\d+(?:[eE][-+]?\d+)?|[A-Za-z_][A-Za-z0-9_]*|[-+*\/()]|\S/g) || [];
+  var position = 0;
+  var bands = [];
+
+  var fail = function(message) {
+    throw new Error('Invalid index expression "' + expression + '": ' + message);
+  };
+  var peek = function() {
+    return tokens[position];
+  };
+  var next = function() {
+    return tokens[position++];
+  };
+
+  var parsePrimary = function() {
+    var token = next();
+    if (token === undefined) {
+      fail('unexpected end.');
+    }
+    if (token === '(') {
+      var inner = parseSum();
+      if (next() !== ')') {
+        fail('missing ")".');
+      }
+      return inner;
+    }
+    if (/^\d*\.?\d+/.test(token)) {
+      var number = parseFloat(token);
+      return function() { return number; };
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      if (bands.indexOf(token) === -1) {
+        bands.push(token);
+      }
+      return function(values) {
+        if (typeof values[token] !== 'number') {
+          throw new Error('Missing value for band ' + token + '.');
+        }
+        return values[token];
+      };
+    }
+    return fail('unexpected "' + token + '".');
+  };
+
+  var parseUnary = function() {
+    if (peek() === '-' || peek() === '+') {
+      var sign = next() === '-' ? -1 : 1;
+      var operand = parseUnary();
+      return function(values) { return sign * operand(values); };
+    }
+    return parsePrimary();
+  };
+
+  var parseProduct = function() {
+    var left = parseUnary();
+    while (peek() === '*' || peek() === '/') {
+      left = (function(operator, a, b) {
+        return operator === '*' ?
+          function(values) { return a(values) * b(values); } :
+          function(values) { return a(values) / b(values); };
+      })(next(), left, parseUnary());
+    }
+    return left;
+  };
+
+  var parseSum = function() {
+    var left = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      left = (function(operator, a, b) {
+        return operator === '+' ?
+          function(values) { return a(values) + b(values); } :
+          function(values) { return a(values) - b(values); };
+      })(next(), left, parseProduct());
+    }
+    return left;
+  };
+
+  var evaluate = parseSum();
+  if (position < tokens.length) {
+    fail('unexpected "' + tokens[position] + '".');
+  }
+  return {bands: bands, evaluate: evaluate};
+}
+
+// Add an index to the registry
+// - name: band name of the index
+// - expression: formula over the band aliases
+// - range: optional [min, max]; values outside are masked
+// - expected: optional value of the index for REFERENCE_SPECTRUM
+function registerIndex(definition) {
+  if (!/^[A-Z][A-Z0-9_]*$/.test(definition.name || '')) {
+    throw new Error('Invalid index name "' + definition.name + '": use upper case letters, digits and "_".');
+  }
+  var parsed = parseIndexExpression(definition.expression);
+  if (definition.range && !(definition.range[0] < definition.range[1])) {
+    throw new Error('Invalid range for index ' + definition.name + ': expected [min, max].');
+  }
+  INDEX_REGISTRY[definition.name] = {
+    name: definition.name,
+    expression: definition.expression,
+    bands: parsed.bands,
+    evaluate: parsed.evaluate,
+    range: definition.range || null,
+    expected: typeof definition.expected === 'number' ? definition.expected : null
+  };
+  return INDEX_REGISTRY[definition.name];
+}
+
+// Evaluate an index on plain reflectance values, e.g. evaluateIndex('NDVI', {NIR: 0.4, RED: 0.1})
+function evaluateIndex(name, values) {
+  return INDEX_REGISTRY[name].evaluate(values);
+}
+
+// Check the selected indices against REFERENCE_SPECTRUM and return one
+// message per formula whose result differs from the expected value
+function checkIndices(names) {
+  var problems = [];
+  names.forEach(function(name) {
+    var entry = INDEX_REGISTRY[name];
+    if (!entry || entry.expected === null) {
+      return;
+    }
+    var value = entry.evaluate(REFERENCE_SPECTRUM);
+    if (!(Math.abs(value - entry.expected) < 1e-4)) {
+      problems.push('index ' + name + ' gives ' + value + ' for the reference spectrum, expected ' + entry.expected + '.');
+    }
+  });
+  return problems;
+}
+
+// Check that the indices exist and that the sensor has the bands they use
+function validateIndices(names, availableBands, field, errors) {
+  if (!(names instanceof Array)) {
+    errors.push(field + ' must be a list of index names.');
+    return;
+  }
+  names.forEach(function(name) {
+    var entry = INDEX_REGISTRY[name];
+    if (!entry) {
+      errors.push(field + ' has an unknown index ' + name + ' (registered: ' + Object.keys(INDEX_REGISTRY).join(', ') + ').');
+      return;
+    }
+    entry.bands.forEach(function(band) {
+      if (availableBands.indexOf(band) === -1) {
+        errors.push(field + ': index ' + name + ' needs band ' + band + ', which this sensor does not have.');
+      }
+    });
+  });
+  checkIndices(names).forEach(function(problem) {
+    errors.push(field + ': ' + problem);
+  });
+}
+
+// Function to create spectral indices
+function computeIndices(image, names) {
+  var bands = names.map(function(name) {
+    var entry = INDEX_REGISTRY[name];
+    var bandMap = {};
+    entry.bands.forEach(function(band) {
+      bandMap[band] = image.select(band);
+    });
+    var index = image.expression(entry.expression, bandMap).rename(name);
+
+    // Mask values outside the valid range
+    if (entry.range) {
+      index = index.updateMask(index.gte(entry.range[0]).and(index.lte(entry.range[1])));
+    }
+    return index;
+  });
+
+  // Add spectral indices as new bands in the image collection
+  return image.addBands(ee.Image(bands));
+}
+
+// NDVI (Normalized Difference Vegetation Index)
+registerIndex({name: 'NDVI', expression: '(NIR - RED) / (NIR + RED)', range: [-1, 1], expected: 0.75});
+
+// EVI (Enhanced Vegeation Index)
+registerIndex({name: 'EVI', expression: '2.5 * ((NIR - RED) / (NIR + (6 * RED) - (7.5 * BLUE) + 1))', range: [-1, 1], expected: 0.555556});
+
+// NDWI (Normalized Difference Water Index)
+registerIndex({name: 'NDWI', expression: '(GREEN - NIR) / (GREEN + NIR)', range: [-1, 1], expected: -0.666667});
+
+// NDWI_VEG (Normalized Difference Water Index for Vegetation)
+registerIndex({name: 'NDWI_VEG', expression: '(NIR - SWIR1) / (NIR + SWIR1)', range: [-1, 1], expected: 0.320755});
+
+// MNDWI (Modified Normalized Difference Water Index)
+registerIndex({name: 'MNDWI', expression: '(GREEN - SWIR1) / (GREEN + SWIR1)', range: [-1, 1], expected: -0.44});
+
+// NBR (Normalized Burn Ratio)
+registerIndex({name: 'NBR', expression: '(NIR - SWIR2) / (NIR + SWIR2)', range: [-1, 1], expected: 0.590909});
+
+// Green Chlorophyll Vegetation Index (GCVI)
+registerIndex({name: 'GCVI', expression: '(NIR / GREEN) - 1', expected: 4});
+
+// Hallcover Index (HALLCOVER) - tailored for Savannah Formation
+registerIndex({name: 'HALLCOVER', expression: '(-RED * 0.017 - NIR * 0.007 - SWIR2 * 0.079 + 5.22)', expected: 5.20959});
+
+// Photochemical Reflectance Index (PRI)
+registerIndex({name: 'PRI', expression: '(BLUE - GREEN) / (BLUE + GREEN)', range: [-1, 1], expected: -0.272727});
+
+// Bare Soil Index (BSI)
+registerIndex({name: 'BSI', expression: '((SWIR2 + RED) - (SWIR2 - BLUE)) / ((SWIR2 + RED) + (SWIR2 - BLUE))', range: [-1, 1], expected: 0.473684});
+
+// SAVI (Soil Adjusted Vegetation Index, L = 0.5)
+registerIndex({name: 'SAVI', expression: '1.5 * (NIR - RED) / (NIR + RED + 0.5)', range: [-1.5, 1.5], expected: 0.5});
+
+// NDBI (Normalized Difference Built-up Index)
+registerIndex({name: 'NDBI', expression: '(SWIR1 - NIR) / (SWIR1 + NIR)', range: [-1, 1], expected: -0.320755});
+
+// NDRE (Normalized Difference Red Edge) - Sentinel-2 only
+registerIndex({name: 'NDRE', expression: '(NIR - RE1) / (NIR + RE1)', range: [-1, 1], expected: 0.555556});
+
+// CIre (Red-edge Chlorophyll Index) - Sentinel-2 only
+registerIndex({name: 'CIRE', expression: '(NIR / RE1) - 1', expected: 2.5});
+
+// MTCI (MERIS Terrestrial Chlorophyll Index) - Sentinel-2 only
+registerIndex({name: 'MTCI', expression: '(RE2 - RE1) / (RE1 - RED)', expected: 3});
+
+// IRECI (Inverted Red-Edge Chlorophyll Index) - Sentinel-2 only
+registerIndex({name: 'IRECI', expression: '(RE3 - RED) / (RE1 / RE2)', expected: 0.675});
+
+// Register your own indices here, before runPipeline is called, e.g.
+// registerIndex({name: 'NDMI', expression: '(NIR - SWIR1) / (NIR + SWIR1)', range: [-1, 1]});
+
+
+/********************* TEMPORAL FEATURES ******************************/
+
+// Statistics that can be requested in the temporalFeatures config
+var REDUCERS = {
+  median: function() { return ee.Reducer.median(); },
+  mean: function() { return ee.Reducer.mean(); },
+  stdDev: function() { return ee.Reducer.stdDev(); },
+  min: function() { return ee.Reducer.min(); },
+  max: function() { return ee.Reducer.max(); }
+};
+
+// Parse a 'MM-DD' string into [month, day]
+function parseMonthDay(text) {
+  var match = /^(\d{2})-(\d{2})$/.exec(text);
+  return match ? [parseInt(match[1], 10), parseInt(match[2], 10)] : null;
+}
+
+// Dates of a season for a given year. The end day is included. When the
+// end comes before the start (e.g. '10-01' to '03-31') the season starts
+// in the previous year, so the wet season of 2017 is Oct/2016 - Mar/2017.
+function getSeasonDates(season, year) {
+  var start = parseMonthDay(season.start);
+  var end = parseMonthDay(season.end);
+  var wraps = season.end < season.start;
+  return {
+    start: ee.Date.fromYMD(wraps ? year - 1 : year, start[0], start[1]),
+    end: ee.Date.fromYMD(year, end[0], end[1]).advance(1, 'day')
+  };
+}
+
+// Names of the bands produced by buildTemporalFeatures, in order:
+// <BAND>_<stat>, <BAND>_p<percentile>, <BAND>_amplitude, <BAND>_<SEASON>_<stat>
+function getTemporalFeatureNames(settings) {
+  var names = [];
+
+  Object.keys(settings.annual).forEach(function(stat) {
+    names = names.concat(withSuffix(settings.annual[stat], '_' + stat));
+  });
+
+  settings.percentiles.values.forEach(function(value) {
+    names = names.concat(withSuffix(settings.percentiles.bands, '_p' + value));
+  });
+
+  names = names.concat(withSuffix(settings.amplitude.bands, '_amplitude'));
+
+  settings.seasons.forEach(function(season) {
+    Object.keys(settings.seasonal).forEach(function(stat) {
+      names = names.concat(withSuffix(settings.seasonal[stat], '_' + season.name + '_' + stat));
+    });
+  });
+
+  return names;
+}
+
+// Reduce the selected bands of a collection with one of the REDUCERS
+function reduceBands(collection, bands, stat) {
+  return collection.select(bands).reduce(REDUCERS[stat]());
+}
+
+// Apply the annual, percentile, amplitude and seasonal reducers configured in
+// temporalFeatures. The bands are returned in the order of getTemporalFeatureNames.
+function buildTemporalFeatures(collection, year, settings) {
+  var yearCollection = collection.filterDate(ee.Date.fromYMD(year, 1, 1), ee.Date.fromYMD(year + 1, 1, 1));
+  var image = ee.Image([]);
+
+  // Statistics over the whole year
+  Object.keys(settings.annual).forEach(function(stat) {
+    image = image.addBands(reduceBands(yearCollection, settings.annual[stat], stat));
+  });
+
+  // Percentiles over the whole year
+  var percentileBands = settings.percentiles.bands;
+  if (percentileBands.length) {
+    var percentiles = yearCollection.select(percentileBands)
+        .reduce(ee.Reducer.percentile(settings.percentiles.values));
+    settings.percentiles.values.forEach(function(value) {
+      image = image.addBands(percentiles.select(withSuffix(percentileBands, '_p' + value)));
+    });
+  }
+
+  // Amplitude as the difference between a high and a low percentile
+  var amplitude = settings.amplitude;
+  if (amplitude.bands.length) {
+    var limits = yearCollection.select(amplitude.bands)
+        .reduce(ee.Reducer.percentile([amplitude.low, amplitude.high]));
+    image = image.addBands(limits.select(withSuffix(amplitude.bands, '_p' + amplitude.high))
+        .subtract(limits.select(withSuffix(amplitude.bands, '_p' + amplitude.low)))
+        .rename(withSuffix(amplitude.bands, '_amplitude')));
+  }
+
+  // Statistics for each season
+  settings.seasons.forEach(function(season) {
+    var dates = getSeasonDates(season, year);
+    var seasonCollection = collection.filterDate(dates.start, dates.end);
+    Object.keys(settings.seasonal).forEach(function(stat) {
+      var bands = settings.seasonal[stat];
+      image = image.addBands(reduceBands(seasonCollection, bands, stat)
+          .rename(withSuffix(bands, '_' + season.name + '_' + stat)));
+    });
+  });
+
+  return image;
+}
+
+// Whether any season begins in the previous year
+function seasonsStartPreviousYear(settings) {
+  return settings.seasons.some(function(season) {
+    return season.end < season.start;
+  });
+}
+
+// Period covered by the collection: the calendar year plus any season
+// that starts in the previous year
+function getTemporalWindow(year, settings) {
+  var firstYear = seasonsStartPreviousYear(settings) ? year - 1 : year;
+  return {start: ee.Date.fromYMD(firstYear, 1, 1), end: ee.Date.fromYMD(year + 1, 1, 1)};
+}
+
+// Check the temporalFeatures config against the bands available in the
+// Landsat collection, pushing messages into errors
+function validateTemporalFeatures(settings, availableBands, errors) {
+  if (!settings || typeof settings !== 'object') {
+    errors.push('temporalFeatures is required.');
+    return;
+  }
+
+  var checkBands = function(bands, field) {
+    if (!(bands instanceof Array)) {
+      errors.push(field + ' must be a list of bands.');
+      return;
+    }
+    bands.forEach(function(band) {
+      if (availableBands.indexOf(band) === -1) {
+        errors.push(field + ' has an unknown band ' + band + ' (use one of ' + availableBands.join(', ') + ').');
+      }
+    });
+  };
+  var checkStats = function(stats, field) {
+    if (!stats || typeof stats !== 'object') {
+      errors.push(field + ' must map statistics to lists of bands.');
+      return;
+    }
+    Object.keys(stats).forEach(function(stat) {
+      if (!REDUCERS.hasOwnProperty(stat)) {
+        errors.push(field + ' has an unknown statistic ' + stat + ' (use one of ' + Object.keys(REDUCERS).join(', ') + ').');
+      }
+      checkBands(stats[stat], field + '.' + stat);
+    });
+  };
+
+  checkStats(settings.annual, 'temporalFeatures.annual');
+
+  var percentiles = settings.percentiles || {};
+  checkBands(percentiles.bands, 'temporalFeatures.percentiles.bands');
+  if (!(percentiles.values instanceof Array) || !percentiles.values.every(function(value) {
+    return isPositiveInteger(value) && value < 100;
+  })) {
+    errors.push('temporalFeatures.percentiles.values must be a list of integers between 1 and 99.');
+  }
+
+  var amplitude = settings.amplitude || {};
+  checkBands(amplitude.bands, 'temporalFeatures.amplitude.bands');
+  if (!isNumberBetween(amplitude.low, 0, 100) || !isNumberBetween(amplitude.high, 0, 100) ||
+      amplitude.low >= amplitude.high) {
+    errors.push('temporalFeatures.amplitude.low and .high must be percentiles with low < high.');
+  }
+
+  if (!(settings.seasons instanceof Array)) {
+    errors.push('temporalFeatures.seasons must be a list of {name, start, end}.');
+    return;
+  }
+  var seasonNames = [];
+  settings.seasons.forEach(function(season) {
+    if (!/^[A-Za-z0-9]+$/.test(season.name) || seasonNames.indexOf(season.name) !== -1) {
+      errors.push('temporalFeatures.seasons names must be unique and alphanumeric, got ' + season.name + '.');
+    }
+    seasonNames.push(season.name);
+    if (!parseMonthDay(season.start) || !parseMonthDay(season.end)) {
+      errors.push('temporalFeatures.seasons ' + season.name + ' must have start and end as \'MM-DD\'.');
+    }
+  });
+  checkStats(settings.seasonal, 'temporalFeatures.seasonal');
+}
+
+
+// Band of the mosaic with the per-pixel count of clear observations.
+// It is not used as a predictor.
+var CLEAR_COUNT_BAND = 'CLEAR_OBS';
+
+// Grid shared by every feature stack and by the classification
+var CLASSIFICATION_GRID = {crs: 'EPSG:4326', scale: 30};
+
+// Function to create annual mosaics, get metadata and apply grouped reducers
+function createAnnualMosaic(year, config) {
+  var startDate = ee.Date.fromYMD(year, 1, 1);
+  var window = getTemporalWindow(year, config.temporalFeatures);
+
+  // Merge the collections of every sensor used in this year (and in the
+  // previous one, when a season starts there)
+  var sensorKeys = selectSensors(year, config);
+  if (config.sensor === 'auto' && seasonsStartPreviousYear(config.temporalFeatures)) {
+    selectSensors(year - 1, config).forEach(function(key) {
+      if (sensorKeys.indexOf(key) === -1) {
+        sensorKeys.push(key);
+      }
+    });
+  }
+  var landsatCollection = sensorKeys.map(function(key) {
+    var collection = ee.ImageCollection(SENSORS[key].collection)
+        .filterDate(window.start, window.end)
+        .filterBounds(config.aoi);
+
+    // Optional scene-level cutoff, applied before the pixel masks
+    if (config.cloudMask.maxCloudCover !== null) {
+      collection = collection.filter(ee.Filter.lt('CLOUD_COVER', config.cloudMask.maxCloudCover));
+    }
+    return collection.map(prepareLandsat(key, config));
+  }).reduce(function(merged, collection) {
+    return merged.merge(collection);
+  });
+
+  // Show image collection metadata
+  show('Sensores utilizados em ' + year + ':', sensorKeys);
+  show('Número de imagens da coleção para o ano ' + year + ':', landsatCollection.size());
+  show('Imagens por sensor:', landsatCollection.aggregate_histogram('SENSOR'));
+  var range = landsatCollection.reduceColumns(ee.Reducer.minMax(), ['system:time_start']);
+  show('Date range: ', ee.Date(range.get('min')), ee.Date(range.get('max')));
+
+  // Apply indices function
+  var indexedCollection = landsatCollection.map(function(image) {
+    return computeIndices(image, config.indices);
+  });
+
+  // Calculate the annual, percentile, amplitude and seasonal reducers
+  var mosaic = buildTemporalFeatures(indexedCollection, year, config.temporalFeatures);
+
+  // Number of clear observations of each pixel in the calendar year
+  var clearCount = landsatCollection
+    .filterDate(startDate, ee.Date.fromYMD(year + 1, 1, 1))
+    .select(COMMON_BANDS[0])
+    .count()
+    .unmask(0)
+    .rename(CLEAR_COUNT_BAND);
+
+  mosaic = mosaic
+    .addBands(clearCount)
+    .setDefaultProjection(CLASSIFICATION_GRID.crs, null, CLASSIFICATION_GRID.scale);
+
+  // Set system time start
+  return mosaic.set('system:time_start', startDate.millis());
+}
+
+
+/********************* SENTINEL FEATURE STACKS ******************************/
+
+// First full years of Sentinel-2 surface reflectance and Sentinel-1 GRD
+var S2_FIRST_YEAR = 2017;
+var S1_FIRST_YEAR = 2015;
+
+// Sentinel-2 bands and the names given to them
+var S2_BANDS = ['B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8', 'B8A', 'B11', 'B12'];
+var S2_NAMES = ['BLUE', 'GREEN', 'RED', 'RE1', 'RE2', 'RE3', 'NIR', 'RE4', 'SWIR1', 'SWIR2'];
+
+// Scene classification values treated as clouds:
+// 3 - Cloud shadow, 8 - Cloud medium probability, 9 - Cloud high probability, 10 - Cirrus
+var S2_SCL_CLOUDS = [3, 8, 9, 10];
+
+// Sentinel-1 polarizations and the VV/VH ratio
+var S1_BANDS = ['VV', 'VH', 'VV_VH'];
+
+// Prefix the band names of a stack (e.g. 'NDRE_median' -> 'S2_NDRE_median')
+function prefixBands(names, prefix) {
+  return names.map(function(name) {
+    return prefix + name;
+  });
+}
+
+// Append a statistic to band names (e.g. 'NDRE' -> 'NDRE_median')
+function withSuffix(names, suffix) {
+  return names.map(function(name) {
+    return name + suffix;
+  });
+}
+
+// Band names of each stack, as they appear in the feature stack
+function getS2FeatureBands(indexNames) {
+  return prefixBands(
+    withSuffix(S2_NAMES.concat(indexNames), '_median').concat(withSuffix(indexNames, '_stdDev')), 'S2_');
+}
+var S1_FEATURE_BANDS = prefixBands(
+  withSuffix(S1_BANDS, '_median').concat(withSuffix(S1_BANDS, '_stdDev')), 'S1_');
+
+// Aggregate a finer stack to the classification grid (mean of the pixels)
+function resampleToGrid(image, nativeScale) {
+  return image
+    .setDefaultProjection(CLASSIFICATION_GRID.crs, null, nativeScale)
+    .reduceResolution({reducer: ee.Reducer.mean(), maxPixels: 1024})
+    .reproject({crs: CLASSIFICATION_GRID.crs, scale: CLASSIFICATION_GRID.scale});
+}
+
+// Function to mask clouds and shadows from Sentinel-2 using the scene classification
+function maskS2Scl(image) {
+  var clear = image.select('SCL').remap(S2_SCL_CLOUDS, [0, 0, 0, 0], 1);
+  return image.updateMask(clear);
+}
+
+// Function to mask clouds from Sentinel-2 using the s2cloudless probability
+function maskS2Probability(maxProbability) {
+  return function(image) {
+    var probability = ee.Image(image.get('cloud_probability')).select('probability');
+    return image.updateMask(probability.lt(maxProbability));
+  };
+}
+
+// Function to create the annual Sentinel-2 stack on the classification grid
+function createSentinel2Stack(year, config) {
+  var settings = config.sentinel2;
+  var startDate = ee.Date.fromYMD(year, 1, 1);
+  var endDate = ee.Date.fromYMD(year + 1, 1, 1);
+
+  var s2 = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
+      .filterDate(startDate, endDate)
+      .filterBounds(config.aoi);
+
+  var masked;
+  if (settings.cloudMask === 'SCL') {
+    masked = s2.map(maskS2Scl);
+  } else {
+    // Attach the cloud probability image with the same index to each scene
+    var probability = ee.ImageCollection('COPERNICUS/S2_CLOUD_PROBABILITY')
+        .filterDate(startDate, endDate)
+        .filterBounds(config.aoi);
+    var joined = ee.Join.saveFirst('cloud_probability').apply({
+      primary: s2,
+      secondary: probability,
+      condition: ee.Filter.equals({leftField: 'system:index', rightField: 'system:index'})
+    });
+    masked = ee.ImageCollection(joined).map(maskS2Probability(settings.maxCloudProbability));
+  }
+
+  // Scale the reflectance and rename the bands
+  var collection = masked.map(function(image) {
+    return computeIndices(ee.Image(image.select(S2_BANDS, S2_NAMES).multiply(0.0001)
+        .copyProperties(image, ['system:time_start'])), settings.indices);
+  });
+
+  show('Número de imagens Sentinel-2 para o ano ' + year + ':', collection.size());
+
+  var median = collection.reduce(ee.Reducer.median())
+      .select(withSuffix(S2_NAMES.concat(settings.indices), '_median'));
+  var stdDev = collection.select(settings.indices).reduce(ee.Reducer.stdDev());
+
+  var stack = median.addBands(stdDev).rename(getS2FeatureBands(settings.indices));
+  return resampleToGrid(stack, 10);
+}
+
+// Function to create the annual Sentinel-1 stack on the classification grid
+function createSentinel1Stack(year, config) {
+  var settings = config.sentinel1;
+  var startDate = ee.Date.fromYMD(year, 1, 1);
+  var endDate = ee.Date.fromYMD(year + 1, 1, 1);
+
+  var s1 = ee.ImageCollection('COPERNICUS/S1_GRD')
+      .filterDate(startDate, endDate)
+      .filterBounds(config.aoi)
+      .filter(ee.Filter.eq('instrumentMode', 'IW'))
+      .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
+      .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'));
+
+  if (settings.orbitPass) {
+    s1 = s1.filter(ee.Filter.eq('orbitProperties_pass', settings.orbitPass));
+  }
+
+  var collection = s1.map(function(image) {
+    var backscatter = image.select(['VV', 'VH']);
+
+    // Reduce the speckle with a focal median
+    if (settings.speckleRadius > 0) {
+      backscatter = backscatter.focal_median({radius: settings.speckleRadius, kernelType: 'circle', units: 'meters'});
+    }
+
+    // In dB the VV/VH ratio is a difference
+    var ratio = backscatter.select('VV').subtract(backscatter.select('VH')).rename('VV_VH');
+    return ee.Image(backscatter.addBands(ratio)
+        .copyProperties(image, ['system:time_start']));
+  });
+
+  show('Número de imagens Sentinel-1 para o ano ' + year + ':', collection.size());
+
+  var stack = collection.reduce(ee.Reducer.median())
+      .addBands(collection.reduce(ee.Reducer.stdDev()))
+      .select(withSuffix(S1_BANDS, '_median').concat(withSuffix(S1_BANDS, '_stdDev')))
+      .rename(S1_FEATURE_BANDS);
+  return resampleToGrid(stack, 10);
+}
+
+// Join the optional Sentinel stacks onto the Landsat mosaic
+function createFeatureStack(year, config) {
+  var stack = createAnnualMosaic(year, config);
+  if (config.sentinel2.enabled) {
+    stack = stack.addBands(createSentinel2Stack(year, config));
+  }
+  if (config.sentinel1.enabled) {
+    stack = stack.addBands(createSentinel1Stack(year, config));
+  }
+  return stack;
+}
+
+// Bands used as predictors, including the enabled Sentinel stacks
+function getInputBands(config) {
+  // Bands chosen by the feature selection
+  if (config.predictors) {
+    return config.predictors;
+  }
+  var bands = getTemporalFeatureNames(config.temporalFeatures);
+  if (config.sentinel2.enabled) {
+    bands = bands.concat(getS2FeatureBands(config.sentinel2.indices));
+  }
+  if (config.sentinel1.enabled) {
+    bands = bands.concat(S1_FEATURE_BANDS);
+  }
+  return bands;
+}
+
+
+/************** MAP BIOMAS COLLECTION 8 *****************/
+
+// Name of the reference band for a given year (e.g. 'classification_2017')
+function getLabelBand(year, config) {
+  return config.reference.bandPrefix + year;
+}
+
+// Select the year of interest from the reference dataset
+function loadReference(year, config) {
+  // Instaciante the dataset as an image
+  var mapbiomas = ee.Image(config.reference.asset);
+  return mapbiomas.select(getLabelBand(year, config));
+}
+
+
+
+/************** CLASS CATALOG ****************************/
+
+// Single source of the MapBiomas Collection 8 classes: code, English and
+// Portuguese names, color and position in the legend hierarchy
+// (levels: [level 1, level 2, level 3, level 4]). Names, colors, palettes,
+// chart colors and the legend levels are all derived from this list.
+var CLASS_CATALOG = [
+  {code: 1, name: 'Forest', namePt: 'Floresta', color: '#32a65e', levels: [1, 1, 1, 1]},
+  {code: 3, name: 'Forest Formation', namePt: 'Formação Florestal', color: '#1f8d49', levels: [1, 3, 3, 3]},
+  {code: 4, name: 'Savanna Formation', namePt: 'Formação Savânica', color: '#7dc975', levels: [1, 4, 4, 4]},
+  {code: 5, name: 'Mangrove', namePt: 'Mangue', color: '#04381d', levels: [1, 5, 5, 5]},
+  {code: 6, name: 'Floodable Forest (beta)', namePt: 'Floresta Alagável (beta)', color: '#026975', levels: [1, 6, 6, 6]},
+  {code: 49, name: 'Wooded Sandbank Vegetation', namePt: 'Restinga Arbórea', color: '#02d659', levels: [1, 49, 49, 49]},
+  {code: 10, name: 'Non Forest Natural Formation', namePt: 'Formação Natural não Florestal', color: '#ad975a', levels: [10, 10, 10, 10]},
+  {code: 11, name: 'Wetland', namePt: 'Campo Alagado e Área Pantanosa', color: '#519799', levels: [10, 11, 11, 11]},
+  {code: 12, name: 'Grassland', namePt: 'Formação Campestre', color: '#d6bc74', levels: [10, 12, 12, 12]},
+  {code: 32, name: 'Hypersaline Tidal Flat', namePt: 'Apicum', color: '#fc8114', levels: [10, 32, 32, 32]},
+  {code: 29, name: 'Rocky Outcrop', namePt: 'Afloramento Rochoso', color: '#ffaa5f', levels: [10, 29, 29, 29]},
+  {code: 50, name: 'Herbaceous Sandbank Vegetation', namePt: 'Restinga Herbácea', color: '#ad5100', levels: [10, 50, 50, 50]},
+  {code: 13, name: 'Other non Forest Formations', namePt: 'Outras Formações não Florestais', color: '#d89f5c', levels: [10, 13, 13, 13]},
+  {code: 14, name: 'Farming', namePt: 'Agropecuária', color: '#FFFFB2', levels: [14, 14, 14, 14]},
+  {code: 15, name: 'Pasture', namePt: 'Pastagem', color: '#edde8e', levels: [14, 15, 15, 15]},
+  {code: 18, name: 'Agriculture', namePt: 'Agricultura', color: '#E974ED', levels: [14, 18, 18, 18]},
+  {code: 19, name: 'Temporary Crop', namePt: 'Lavoura Temporária', color: '#C27BA0', levels: [14, 18, 19, 19]},
+  {code: 39, name: 'Soybean', namePt: 'Soja', color: '#f5b3c8', levels: [14, 18, 19, 39]},
+  {code: 20, name: 'Sugar cane', namePt: 'Cana', color: '#db7093', levels: [14, 18, 19, 20]},
+  {code: 40, name: 'Rice', namePt: 'Arroz', color: '#c71585', levels: [14, 18, 19, 40]},
+  {code: 62, name: 'Cotton (beta)', namePt: 'Algodão (beta)', color: '#ff69b4', levels: [14, 18, 19, 62]},
+  {code: 41, name: 'Other Temporary Crops', namePt: 'Outras Lavouras Temporárias', color: '#f54ca9', levels: [14, 18, 19, 41]},
+  {code: 36, name: 'Perennial Crop', namePt: 'Lavoura Perene', color: '#d082de', levels: [14, 18, 36, 36]},
+  {code: 46, name: 'Coffee', namePt: 'Café', color: '#d68fe2', levels: [14, 18, 36, 46]},
+  {code: 47, name: 'Citrus', namePt: 'Citrus', color: '#9932cc', levels: [14, 18, 36, 47]},
+  {code: 35, name: 'Palm Oil (beta)', namePt: 'Dendê (beta)', color: '#9065d0', levels: [14, 18, 36, 35]},
+  {code: 48, name: 'Other Perennial Crops', namePt: 'Outras Lavouras Perenes', color: '#e6ccff', levels: [14, 18, 36, 48]},
+  {code: 9, name: 'Forest Plantation', namePt: 'Silvicultura', color: '#7a5900', levels: [14, 9, 9, 9]},
+  {code: 21, name: 'Mosaic of Uses', namePt: 'Mosaico de Usos', color: '#ffefc3', levels: [14, 21, 21, 21]},
+  {code: 22, name: 'Non vegetated area', namePt: 'Área não Vegetada', color: '#ea9999', levels: [22, 22, 22, 22]},
+  {code: 23, name: 'Beach, Dune and Sand Spot', namePt: 'Praia, Duna e Areal', color: '#ffa07a', levels: [22, 23, 23, 23]},
+  {code: 24, name: 'Urban Area', namePt: 'Área Urbanizada', color: '#d4271e', levels: [22, 24, 24, 24]},
+  {code: 30, name: 'Mining', namePt: 'Mineração', color: '#9c0027', levels: [22, 30, 30, 30]},
+  {code: 25, name: 'Other non Vegetated Areas', namePt: 'Outras Áreas não Vegetadas', color: '#db4d4f', levels: [22, 25, 25, 25]},
+  {code: 26, name: 'Water', namePt: 'Corpo D\'água', color: '#0000FF', levels: [26, 26, 26, 26]},
+  {code: 33, name: 'River, Lake and Ocean', namePt: 'Rio, Lago e Oceano', color: '#2532e4', levels: [26, 33, 33, 33]},
+  {code: 31, name: 'Aquaculture', namePt: 'Aquicultura', color: '#091077', levels: [26, 31, 31, 31]},
+  {code: 27, name: 'Not Observed', namePt: 'Não Observado', color: '#ffffff', levels: [27, 27, 27, 27]},
+  {code: 0, name: 'Out of area of interest', namePt: 'Fora da Área de Interesse', color: '#808080', levels: [0, 0, 0, 0]}
+];
+
+// Languages of the class names and of the chart labels
+var LANGUAGES = ['en', 'pt'];
+
+// Chart and table labels
+var LABELS = {
+  en: {
+    className: 'Class Name',
+    area: 'Area (km²)',
+    referenceAreas: 'Class Areas for {year} (km²)',
+    classifiedAreas: 'Class Areas in {year}',
+    areaShare: 'Percentage of Area by Land Use Class - {year}'
+  },
+  pt: {
+    className: 'Classe de Uso do Solo',
+    area: 'Área (km²)',
+    referenceAreas: 'Área das Classes em {year} (km², referência)',
+    classifiedAreas: 'Área das Classes em {year}',
+    areaShare: 'Porcentagem da Área por Classe de Uso do Solo - {year}'
+  }
+};
+
+// Position of each code in the legend hierarchy, {code: levels}
+var MAPBIOMAS_HIERARCHY = {};
+CLASS_CATALOG.forEach(function(entry) {
+  MAPBIOMAS_HIERARCHY[entry.code] = entry.levels;
+});
+
+// Name of a class in the given language
+function getClassName(entry, language) {
+  return language === 'pt' && entry.namePt ? entry.namePt : entry.name;
+}
+
+// Dictionary for class names and colors, {code: {name, color}}
+function getClassesDict(language) {
+  var classes = {};
+  CLASS_CATALOG.forEach(function(entry) {
+    classes[entry.code] = {name: getClassName(entry, language), color: entry.color};
+  });
+  return classes;
+}
+
+// Chart or table label in the language of the run
+function getLabel(config, key, year) {
+  return LABELS[config.language][key].replace('{year}', year);
+}
+
+// Slice colors of a chart whose rows are the given class codes
+function getChartSlices(codes, config) {
+  var classes = getLegendClasses(config);
+  return codes.map(function(code) {
+    return {color: classes[code] ? classes[code].color : '#000000'};
+  });
+}
+
+// Check that codes, names and colors are unique and that every level of the
+// hierarchy points to a class of the catalog. Returns a list of problems.
+function checkClassCatalog(catalog) {
+  var problems = [];
+  var codes = {};
+  var colors = {};
+  var names = {};
+
+  catalog.forEach(function(entry) {
+    var color = String(entry.color).toLowerCase();
+    if (!isNumberBetween(entry.code, 0, 255) || entry.code % 1 !== 0) {
+      problems.push('class code ' + entry.code + ' must be an integer between 0 and 255.');
+    }
+    if (codes[entry.code]) {
+      problems.push('class code ' + entry.code + ' is used more than once.');
+    }
+    if (!/^#[0-9a-f]{6}$/.test(color)) {
+      problems.push('class ' + entry.code + ' has an invalid color ' + entry.color + '.');
+    } else if (colors[color] !== undefined) {
+      problems.push('classes ' + colors[color] + ' and ' + entry.code + ' share the color ' + entry.color + '.');
+    }
+    if (!entry.name || !entry.namePt) {
+      problems.push('class ' + entry.code + ' needs an English and a Portuguese name.');
+    } else if (names[entry.name]) {
+      problems.push('class name ' + entry.name + ' is used more than once.');
+    }
+    codes[entry.code] = true;
+    colors[color] = entry.code;
+    names[entry.name] = true;
+  });
+
+  catalog.forEach(function(entry) {
+    if (!(entry.levels instanceof Array) || entry.levels.length !== 4 || entry.levels[3] !== entry.code) {
+      problems.push('class ' + entry.code + ' must have 4 levels ending with its own code.');
+      return;
+    }
+    entry.levels.forEach(function(code) {
+      if (!codes[code]) {
+        problems.push('class ' + entry.code + ' has a level pointing to the unknown code ' + code + '.');
+      }
+    });
+  });
+
+  return problems;
+}
+
+
+/************** LEGEND ****************************/
+
+// Legend levels, from the coarsest to the original codes
+var LEGEND_LEVELS = ['level1', 'level2', 'level3', 'raw'];
+
+// Original codes kept by the legend (excluded classes are dropped)
+function getLegendSourceCodes(settings) {
+  return Object.keys(MAPBIOMAS_HIERARCHY).map(Number).filter(function(code) {
+    return settings.excludeClasses.indexOf(code) === -1;
+  });
+}
+
+// Lists used to remap the original codes into the active legend
+function getLegendRemap(settings) {
+  var codes = getLegendSourceCodes(settings);
+  var from = [];
+  var to = [];
+
+  if (settings.mode === 'custom') {
+    Object.keys(settings.custom.mapping).forEach(function(target) {
+      settings.custom.mapping[target].forEach(function(code) {
+        if (codes.indexOf(code) !== -1) {
+          from.push(code);
+          to.push(Number(target));
+        }
+      });
+    });
+  } else {
+    var level = LEGEND_LEVELS.indexOf(settings.mode);
+    codes.forEach(function(code) {
+      from.push(code);
+      to.push(MAPBIOMAS_HIERARCHY[code][level]);
+    });
+  }
+  return {from: from, to: to};
+}
+
+// Lists used to remap the classes of a MapBiomas level into a coarser one
+function getLevelRemap(fromLevel, toLevel) {
+  var fromIndex = LEGEND_LEVELS.indexOf(fromLevel);
+  var toIndex = LEGEND_LEVELS.indexOf(toLevel);
+  var from = [];
+  var to = [];
+  Object.keys(MAPBIOMAS_HIERARCHY).forEach(function(code) {
+    var path = MAPBIOMAS_HIERARCHY[code];
+    if (from.indexOf(path[fromIndex]) === -1) {
+      from.push(path[fromIndex]);
+      to.push(path[toIndex]);
+    }
+  });
+  return {from: from, to: to};
+}
+
+// Names and colors of the classes of the active legend, {code: {name, color}}
+function getLegendClasses(config) {
+  var settings = config.legend;
+  var classes = {};
+  if (settings.mode === 'custom') {
+    Object.keys(settings.custom.classes).forEach(function(code) {
+      var info = settings.custom.classes[code];
+      classes[code] = {name: getClassName(info, config.language), color: info.color};
+    });
+    return classes;
+  }
+  var catalog = getClassesDict(config.language);
+  getLegendRemap(settings).to.forEach(function(code) {
+    classes[code] = catalog[code];
+  });
+  return classes;
+}
+
+// Visualization parameters with the colors of the active legend
+function getLegendVis(config) {
+  var classes = getLegendClasses(config);
+  var codes = Object.keys(classes).map(Number);
+  var max = Math.max.apply(null, codes);
+  var palette = [];
+  for (var code = 0; code <= max; code++) {
+    palette.push(classes[code] ? classes[code].color : '#000000');
+  }
+  return {palette: palette, min: 0, max: max};
+}
+
+// Remap an image of original codes into the active legend. Excluded and
+// unmapped codes are masked.
+function applyLegend(image, settings) {
+  var remap = getLegendRemap(settings);
+  return image.remap(remap.from, remap.to).rename(image.bandNames());
+}
+
+// Check the legend config, pushing messages into errors
+function validateLegend(settings, errors) {
+  if (!settings || ['custom'].concat(LEGEND_LEVELS).indexOf(settings.mode) === -1) {
+    errors.push('legend.mode must be one of ' + LEGEND_LEVELS.join(', ') + ' or custom.');
+    return;
+  }
+  if (!(settings.excludeClasses instanceof Array)) {
+    errors.push('legend.excludeClasses must be a list of class codes.');
+    return;
+  }
+  if (!(settings.assessLevels instanceof Array)) {
+    errors.push('legend.assessLevels must be a list of legend levels.');
+    return;
+  }
+
+  if (settings.mode === 'custom') {
+    var custom = settings.custom || {};
+    if (!custom.classes || !custom.mapping) {
+      errors.push('legend.custom must have classes and mapping.');
+      return;
+    }
+    var mapped = [];
+    Object.keys(custom.mapping).forEach(function(target) {
+      if (!custom.classes[target]) {
+        errors.push('legend.custom.mapping target ' + target + ' has no entry in legend.custom.classes.');
+      }
+      custom.mapping[target].forEach(function(code) {
+        if (!MAPBIOMAS_HIERARCHY.hasOwnProperty(code)) {
+          errors.push('legend.custom.mapping has an unknown MapBiomas code ' + code + '.');
+        } else if (mapped.indexOf(code) !== -1) {
+          errors.push('legend.custom.mapping assigns code ' + code + ' to more than one class.');
+        }
+        mapped.push(code);
+      });
+    });
+    var customColors = [];
+    Object.keys(custom.classes).forEach(function(code) {
+      var info = custom.classes[code];
+      if (!isNumberBetween(Number(code), 0, 255) || !info || typeof info.name !== 'string' ||
+          !/^#[0-9a-fA-F]{6}$/.test(info.color)) {
+        errors.push('legend.custom.classes must map codes (0-255) to {name, namePt, color: \'#rrggbb\'}, got ' + code + '.');
+        return;
+      }
+      if (customColors.indexOf(info.color.toLowerCase()) !== -1) {
+        errors.push('legend.custom.classes color ' + info.color + ' is used by more than one class.');
+      }
+      customColors.push(info.color.toLowerCase());
+    });
+    if (settings.assessLevels.length) {
+      errors.push('legend.assessLevels is only available with the MapBiomas levels.');
+    }
+    return;
+  }
+
+  var level = LEGEND_LEVELS.indexOf(settings.mode);
+  settings.assessLevels.forEach(function(assessLevel) {
+    var index = LEGEND_LEVELS.indexOf(assessLevel);
+    if (index === -1 || index >= level) {
+      errors.push('legend.assessLevels must only hold levels coarser than ' + settings.mode + ', got ' + assessLevel + '.');
+    }
+  });
+}
+
+
+/******************  EXPLORATORY DATA ANALYSIS (EDA) *********************************/
+
+// Show a table with the area (km²) of each class of the reference dataset
+function summarizeReferenceAreas(reference, year, config) {
+  // Total area (km²) by class
+  var groups = sumAreasByClass(reference, 'class', config);
+
+  // Convert results to a list with class names and areas
+  var classes = getLegendClasses(config);
+  var areaListWithInfo = groups.map(function(item) {
+    item = ee.Dictionary(item);
+    var classValue = ee.Number(item.get('class'));
+    var areaKm2 = item.get('sum');
+
+    // Add class name and color information from the dictionary
+    return ee.Feature(null, {
+      'class': classValue,
+      'name': getClassProperty(classValue, 'name', classes),
+      'area_km2': areaKm2
+    });
+  });
+
+  // Convert the list to a FeatureCollection
+  var areaFeatureCollection = ee.FeatureCollection(areaListWithInfo);
+  if (config.areas.batch) {
+    exportTable(areaFeatureCollection, 'reference_areas_' + year, config, 'CSV');
+    return areaFeatureCollection;
+  }
+
+  // Create and print a table summarizing class names and areas
+  var areaTable = ui.Chart.feature.byFeature({
+    features: areaFeatureCollection,
+    xProperty: 'name', // Class name
+    yProperties: ['area_km2'] // Area in km²
+  }).setChartType('Table')
+    .setOptions({
+      title: getLabel(config, 'referenceAreas', year),
+      columns: [
+        { label: getLabel(config, 'className'), type: 'string' },
+        { label: getLabel(config, 'area'), type: 'number' }
+      ]
+    });
+
+  // Output the table
+  show(areaTable);
+  return areaFeatureCollection;
+}
+
+
+/***************************** STRATIFIED SAMPLING *************************/
+
+// Property of the samples with the number of pixels of their class
+var STRATUM_PIXELS = 'stratum_pixels';
+
+// Draw samples from the reference dataset proportionally to the area of each class
+function createStratifiedSamples(reference, labelBand, config) {
+  var sampling = config.sampling;
+
+  // Calculate the area of each class
+  var classAreas = reference
+    .reduceRegion({
+      reducer: ee.Reducer.frequencyHistogram(),
+      geometry: config.aoi,
+      scale: sampling.scale,
+      maxPixels: 1e13
+    }).get(labelBand);
+
+  show('Pixel frequency per class)', classAreas);
+
+  // Transform the object into a dictionary
+  classAreas = ee.Dictionary(classAreas);
+
+  // Get unique class values and it's areas
+  var classValues = classAreas.keys().map(ee.Number.parse);
+  var areas = classAreas.values();
+
+  // Calculate total area per class
+  var totalArea = areas.reduce(ee.Reducer.sum());
+
+  // Get a proportion for each class
+  var classPoints = areas.map(function(area) {
+    var proportion = ee.Number(area).divide(totalArea);
+    var points = proportion.multiply(sampling.numTotalPoints).round();
+    return points.clamp(sampling.minPoints, sampling.maxPoints);
+  });
+
+  show('Reference dataset classes', classValues);
+  show('Number of samples per class', classPoints);
+
+  // Create stratified samples
+  var stratifiedSamples = reference.stratifiedSample({
+    numPoints: 0,
+    classBand: labelBand,
+    region: config.aoi,
+    scale: sampling.scale,
+    seed: sampling.seed,
+    classValues: classValues,
+    classPoints: classPoints,
+    geometries: true
+  }).map(function(sample) {
+    // Pixels of the sample's class, for its inclusion probability in the
+    // area-weighted accuracy
+    return sample.set(STRATUM_PIXELS, classAreas.get(ee.Number(sample.get(labelBand)).format('%d')));
+  });
+
+  show('Stratified samples', stratifiedSamples);
+  Map.addLayer(stratifiedSamples, {}, 'Samples',false);
+
+  return stratifiedSamples;
+}
+
+
+// Split methods supported by splitSamples
+var SPLIT_METHODS = ['random', 'grid', 'hexagon', 'polygons'];
+
+// Split with Stratified Random Sampling
+// Tag each sample with 'fraction' = training / validation, per class
+function splitRandom(samples, labelBand, config) {
+  var split = config.split.ratio;
+  var classes = ee.List(samples.aggregate_array(labelBand).distinct());
+
+  var getSplitSamples = function(classNumber) {
+    var classSamples = samples
+      .filter(ee.Filter.eq(labelBand, classNumber))
+      .randomColumn('random', config.split.seed);
+
+    // Split the samples, split.ratio for training, the rest for validation
+    var classTrainingGcp = classSamples
+      .filter(ee.Filter.lt('random', split))
+      // Set a property to identify the fraction
+      .map(function(f) {return f.set('fraction', 'training')});
+
+    var classValidationGcp = classSamples
+      .filter(ee.Filter.gte('random', split))
+      .map(function(f) {return f.set('fraction', 'validation')});
+    return classTrainingGcp.merge(classValidationGcp);
+  };
+
+  // map() the function on the list of classes
+  return ee.FeatureCollection(classes.map(getSplitSamples)).flatten();
+}
+
+// Block id of a point on a square or hexagonal grid. x / y are Web Mercator
+// coordinates, size is the cell width already in Mercator units
+function getGridBlock(x, y, size, method) {
+  var id = function(col, row) {
+    return ee.String(ee.Number(col).format('%d'))
+      .cat('_').cat(ee.Number(row).format('%d'));
+  };
+  if (method === 'grid') {
+    return id(x.divide(size).floor(), y.divide(size).floor());
+  }
+
+  // Pointy-top hexagons, size is the distance between opposite sides.
+  // Axial coordinates rounded through cube coordinates
+  var radius = size / Math.sqrt(3);
+  var q = x.multiply(Math.sqrt(3) / 3).subtract(y.divide(3)).divide(radius);
+  var r = y.multiply(2 / 3).divide(radius);
+  var s = q.add(r).multiply(-1);
+  var rq = q.round();
+  var rr = r.round();
+  var rs = s.round();
+  var dq = rq.subtract(q).abs();
+  var dr = rr.subtract(r).abs();
+  var ds = rs.subtract(s).abs();
+  var fixQ = dq.gt(dr).and(dq.gt(ds));
+  var fixR = fixQ.not().and(dr.gt(ds));
+  rq = ee.Number(ee.Algorithms.If(fixQ, rr.add(rs).multiply(-1), rq));
+  rr = ee.Number(ee.Algorithms.If(fixR, rq.add(rs).multiply(-1), rr));
+  return id(rq, rr);
+}
+
+// Tag each sample with the 'block' it falls in; method is 'grid', 'hexagon'
+// or 'polygons' and the block size / polygons come from config.split
+function assignBlocks(samples, method, config) {
+  var split = config.split;
+
+  if (method === 'polygons') {
+    var blocks = ee.FeatureCollection(split.blocks);
+    var joined = ee.Join.saveFirst('blockFeature').apply({
+      primary: samples,
+      secondary: blocks,
+      condition: ee.Filter.intersects({leftField: '.geo', rightField: '.geo'})
+    });
+    show('Samples outside split.blocks (dropped)',
+      samples.size().subtract(joined.size()));
+    return joined.map(function(f) {
+      var block = ee.Feature(f.get('blockFeature')).get('system:index');
+      var properties = f.toDictionary().remove(['blockFeature']).set('block', block);
+      return ee.Feature(ee.Feature(f.geometry(), properties)
+        .copyProperties(f, ['system:index']));
+    });
+  }
+
+  // Mercator stretches distances by 1 / cos(latitude); scale the cell size
+  // at the AOI centroid so blocks keep roughly blockSize meters
+  var latitude = ee.Number(config.aoi.centroid(1).coordinates().get(1));
+  var size = ee.Number(split.blockSize)
+    .divide(latitude.multiply(Math.PI / 180).cos());
+
+  return samples.map(function(f) {
+    var xy = f.geometry().transform('EPSG:3857', 1).coordinates();
+    var x = ee.Number(xy.get(0));
+    var y = ee.Number(xy.get(1));
+    return f.set('block', getGridBlock(x, y, size, method));
+  });
+}
+
+// One feature per block with its most frequent class ('dominant') and a
+// 'random' column used to shuffle the blocks
+function getBlockInfo(blocked, labelBand, seed) {
+  var blockIds = ee.List(blocked.aggregate_array('block').distinct());
+  return ee.FeatureCollection(blockIds.map(function(id) {
+    var labels = blocked.filter(ee.Filter.eq('block', id))
+      .aggregate_array(labelBand);
+    return ee.Feature(null, {
+      block: id,
+      dominant: labels.reduce(ee.Reducer.mode())
+    });
+  })).randomColumn('random', seed);
+}
+
+// Spatially blocked split. Every block goes whole to one side; blocks are
+// grouped by their most frequent class and each group is split by
+// split.ratio, so every class keeps blocks on both sides when it can
+function splitBlocked(samples, labelBand, config) {
+  var split = config.split;
+  var blocked = assignBlocks(samples, split.method, config);
+  var blockInfo = getBlockInfo(blocked, labelBand, split.seed);
+
+  var groups = ee.List(blockInfo.aggregate_array('dominant').distinct());
+  var fractions = ee.Dictionary(groups.iterate(function(classValue, acc) {
+    var group = blockInfo.filter(ee.Filter.eq('dominant', classValue))
+      .sort('random');
+    var n = group.size();
+    // A single block goes to training; otherwise keep one on each side
+    var nTraining = ee.Number(ee.Algorithms.If(n.eq(1), 1,
+      n.multiply(split.ratio).round().max(1).min(n.subtract(1))));
+    var labels = ee.List.sequence(0, n.subtract(1)).map(function(i) {
+      return ee.Algorithms.If(ee.Number(i).lt(nTraining), 'training', 'validation');
+    });
+    return ee.Dictionary(acc).combine(
+      ee.Dictionary.fromLists(group.aggregate_array('block'), labels));
+  }, ee.Dictionary({})));
+
+  show('Number of split blocks', blockInfo.size());
+
+  return blocked.map(function(f) {
+    return f.set('fraction', fractions.get(f.get('block')));
+  });
+}
+
+// Drop validation points closer than `distance` meters to a training point
+function applySplitBuffer(training, validation, distance) {
+  return ee.Join.inverted().apply({
+    primary: validation,
+    secondary: training,
+    condition: ee.Filter.withinDistance({
+      distance: distance,
+      leftField: '.geo',
+      rightField: '.geo',
+      maxError: 1
+    })
+  });
+}
+
+// Split features into training / validation sets
+function splitSamples(samples, labelBand, config) {
+  var split = config.split;
+  var splitSamples = split.method === 'random' ?
+    splitRandom(samples, labelBand, config) :
+    splitBlocked(samples, labelBand, config);
+
+  // Filter using the 'fraction' property
+  var trainingGcpStratified = splitSamples.filter(
+    ee.Filter.eq('fraction', 'training'));
+  var validationGcpStratified = splitSamples.filter(
+    ee.Filter.eq('fraction', 'validation'));
+
+  if (split.buffer > 0) {
+    var buffered = applySplitBuffer(
+      trainingGcpStratified, validationGcpStratified, split.buffer);
+    show('Validation samples dropped by split.buffer',
+      validationGcpStratified.size().subtract(buffered.size()));
+    validationGcpStratified = buffered;
+  }
+
+  // Validate the results
+  show('Distribution of All Samples by Class', getDistribution(samples, labelBand));
+
+  show('Training (' + split.method + ' split)',
+    getDistribution(trainingGcpStratified, labelBand));
+
+  show('Validation (' + split.method + ' split)',
+    getDistribution(validationGcpStratified, labelBand));
+
+  // Classes left out of one side cannot be trained or assessed
+  var classes = ee.List(samples.aggregate_array(labelBand).distinct());
+  show('Classes without validation samples', classes.removeAll(
+    validationGcpStratified.aggregate_array(labelBand).distinct()));
+  show('Classes without training samples', classes.removeAll(
+    trainingGcpStratified.aggregate_array(labelBand).distinct()));
+
+  return {training: trainingGcpStratified, validation: validationGcpStratified};
+}
+
+// Function to calculate distribution of samples
+function getDistribution(fc, labelBand) {
+  return fc.reduceColumns({
+    reducer: ee.Reducer.frequencyHistogram(),
+    selectors: [labelBand]}).get('histogram');
+}
+
+
+/******************* FEATURE AND CLASS SEPARABILITY ****************************/
+
+var SEPARABILITY_MEASURES = ['JM', 'TD'];
+
+// Small ridge added to the class covariance matrices, so classes with few
+// samples or constant bands still have an inverse
+var COVARIANCE_RIDGE = 1e-6;
+
+// Attach the band values of each sample as a 'vector' array property
+function toVectors(table, bands) {
+  return table.map(function(f) {
+    return f.set('vector', ee.Array(f.toDictionary(bands).values(bands)));
+  });
+}
+
+// Mean (n x 1) and covariance (n x n) of the bands over a sample table
+function getMoments(table, bands) {
+  var vectors = toVectors(table, bands);
+  var mean = ee.Array(vectors.reduceColumns(ee.Reducer.mean().repeat(bands.length), bands).get('mean'));
+  var covariance = ee.Array(ee.Dictionary(
+    vectors.reduceColumns(ee.Reducer.centeredCovariance(), ['vector'])).values().get(0));
+  return {
+    mean: mean.reshape([bands.length, 1]),
+    covariance: covariance.add(ee.Array.identity(bands.length).multiply(COVARIANCE_RIDGE))
+  };
+}
+
+// Pearson correlation matrix (n x n) of the bands over a sample table
+function computeCorrelation(table, bands) {
+  var covariance = getMoments(table, bands).covariance;
+  var sd = covariance.matrixDiagonal().sqrt();
+  return covariance.divide(sd.matrixMultiply(sd.matrixTranspose()));
+}
+
+// log |A| of a symmetric positive definite matrix, through Cholesky
+function logDeterminant(matrix) {
+  var l = ee.Array(ee.Dictionary(matrix.matrixCholeskyDecomposition()).get('L'));
+  return l.matrixDiagonal().log().reduce(ee.Reducer.sum(), [0]).get([0, 0]).multiply(2);
+}
+
+// Separability of two classes in [0, 2], from their moments.
+// JM = 2 (1 - e^-B), B the Bhattacharyya distance; TD = 2 (1 - e^(-D / 8)),
+// D the divergence
+function getSeparability(a, b, measure) {
+  var diff = a.mean.subtract(b.mean);
+  if (measure === 'JM') {
+    var pooled = a.covariance.add(b.covariance).divide(2);
+    var mahalanobis = diff.matrixTranspose()
+      .matrixMultiply(pooled.matrixInverse())
+      .matrixMultiply(diff)
+      .get([0, 0]);
+    var bhattacharyya = mahalanobis.divide(8).add(
+      logDeterminant(pooled)
+        .subtract(logDeterminant(a.covariance).add(logDeterminant(b.covariance)).divide(2))
+        .divide(2));
+    return bhattacharyya.multiply(-1).exp().multiply(-1).add(1).multiply(2);
+  }
+
+  var inverseA = a.covariance.matrixInverse();
+  var inverseB = b.covariance.matrixInverse();
+  var divergence = a.covariance.subtract(b.covariance)
+    .matrixMultiply(inverseB.subtract(inverseA)).matrixTrace()
+    .add(inverseA.add(inverseB)
+      .matrixMultiply(diff.matrixMultiply(diff.matrixTranspose())).matrixTrace())
+    .divide(2);
+  return divergence.divide(-8).exp().multiply(-1).add(1).multiply(2);
+}
+
+// Correlation matrix of the predictors, per-class signatures and pairwise
+// class separability over the training samples, with charts and CSV exports
+function analyzeSeparability(training, labelBand, config) {
+  var settings = config.separability;
+  var bands = settings.bands ?
+    checkReferenceBands(settings.bands, labelBand, config, 'separability bands') :
+    getPredictors(config, labelBand);
+  var classes = getLegendClasses(config);
+
+  // Correlation matrix, one row per band
+  var correlation = computeCorrelation(training, bands);
+  var correlationFc = ee.FeatureCollection(bands.map(function(band, i) {
+    var row = correlation.slice(0, i, i + 1).project([1]).toList();
+    return ee.Feature(null, ee.Dictionary.fromLists(bands, row).set('band', band));
+  }));
+  show(ui.Chart.feature.byFeature({
+    features: correlationFc,
+    xProperty: 'band',
+    yProperties: bands
+  }).setChartType('Table').setOptions({title: 'Feature correlation matrix'}));
+
+  // Mean and standard deviation of each band, per class
+  var classValues = ee.List(training.aggregate_array(labelBand).distinct()).sort();
+  var signatures = ee.FeatureCollection(classValues.map(function(classValue) {
+    var classTable = training.filter(ee.Filter.eq(labelBand, classValue));
+    var stats = classTable.reduceColumns(ee.Reducer.mean().repeat(bands.length)
+      .combine({reducer2: ee.Reducer.stdDev().repeat(bands.length), sharedInputs: true}), bands);
+    var means = ee.Dictionary.fromLists(bands, stats.get('mean'));
+    var stdDevs = ee.Dictionary.fromLists(bands.map(function(band) {return band + '_stdDev';}),
+      stats.get('stdDev'));
+    return ee.Feature(null, means.combine(stdDevs)
+      .set('class', classValue)
+      .set('name', getClassProperty(classValue, 'name', classes))
+      .set('count', classTable.size()));
+  }));
+  show(ui.Chart.feature.byProperty({
+    features: signatures,
+    xProperties: bands,
+    seriesProperty: 'name'
+  }).setChartType('LineChart').setOptions({
+    title: 'Class signatures (mean per band)',
+    hAxis: {title: 'Band'},
+    vAxis: {title: 'Mean value'}
+  }));
+
+  // Pairwise separability, least separable pairs first
+  var moments = classValues.map(function(classValue) {
+    var m = getMoments(training.filter(ee.Filter.eq(labelBand, classValue)), bands);
+    return ee.Dictionary({mean: m.mean, covariance: m.covariance});
+  });
+  var count = classValues.size();
+  var pairs = ee.List.sequence(0, count.subtract(2)).map(function(i) {
+    return ee.List.sequence(ee.Number(i).add(1), count.subtract(1)).map(function(j) {
+      var a = ee.Dictionary(moments.get(i));
+      var b = ee.Dictionary(moments.get(j));
+      var from = classValues.get(i);
+      var to = classValues.get(j);
+      return ee.Feature(null, {
+        'class1': from,
+        'class2': to,
+        'pair': ee.String(getClassProperty(from, 'name', classes))
+          .cat(' / ').cat(getClassProperty(to, 'name', classes)),
+        'separability': getSeparability(
+          {mean: ee.Array(a.get('mean')), covariance: ee.Array(a.get('covariance'))},
+          {mean: ee.Array(b.get('mean')), covariance: ee.Array(b.get('covariance'))},
+          settings.measure)
+      });
+    });
+  }).flatten();
+  var separabilityFc = ee.FeatureCollection(pairs).sort('separability');
+  show(ui.Chart.feature.byFeature({
+    features: separabilityFc,
+    xProperty: 'pair',
+    yProperties: ['separability']
+  }).setChartType('Table').setOptions({
+    title: 'Class separability (' + settings.measure + ', 0-2)'
+  }));
+
+  if (shouldExport(config, 'reports')) {
+    exportTable(correlationFc, 'correlation_' + config.year, config, 'CSV');
+    exportTable(signatures, 'signatures_' + config.year, config, 'CSV');
+    exportTable(separabilityFc, 'separability_' + config.year, config, 'CSV');
+  }
+
+  return {correlation: correlationFc, signatures: signatures, separability: separabilityFc};
+}
+
+// Check the separability config, pushing messages into errors
+function validateSeparability(settings, errors) {
+  if (!settings.enabled) {
+    return;
+  }
+  if (SEPARABILITY_MEASURES.indexOf(settings.measure) === -1) {
+    errors.push('separability.measure must be one of ' + SEPARABILITY_MEASURES.join(', ') + '.');
+  }
+  if (settings.bands !== null && !(settings.bands instanceof Array && settings.bands.length > 1)) {
+    errors.push('separability.bands must be null (all predictors) or a list of at least two bands.');
+  }
+}
+
+
+/******************* TREINAMENTO E CLASSIFICAÇÃO ****************************/
+
+// Extract the variables values at the sample points, keeping the label and
+// any extra properties of the points
+function extractSamples(dataset, points, labelBand, extraProperties) {
+  return dataset.sampleRegions({
+    collection: points,
+    properties: [labelBand].concat(extraProperties || []),
+    scale: 30,
+    tileScale: 16
+  });
+}
+
+// Build a Random Forest from the classifier settings of the config
+function buildRandomForest(settings) {
+  var params = {
+    numberOfTrees: settings.numberOfTrees,
+    bagFraction: settings.bagFraction,
+    minLeafPopulation: settings.minLeafPopulation,
+    seed: settings.seed
+  };
+  if (settings.variablesPerSplit) {
+    params.variablesPerSplit = settings.variablesPerSplit;
+  }
+  if (settings.maxNodes) {
+    params.maxNodes = settings.maxNodes;
+  }
+  return ee.Classifier.smileRandomForest(params);
+}
+
+//**************************************************************************
+// Classifier backends
+//**************************************************************************
+
+// Builders of the untrained classifiers, from the config
+var BACKENDS = {
+  randomForest: function(config) {
+    return buildRandomForest(config.classifier);
+  },
+  gradientTreeBoost: function(config) {
+    var settings = config.backends.gradientTreeBoost;
+    var params = {
+      numberOfTrees: settings.numberOfTrees,
+      shrinkage: settings.shrinkage,
+      samplingRate: settings.samplingRate,
+      seed: settings.seed
+    };
+    if (settings.maxNodes) {
+      params.maxNodes = settings.maxNodes;
+    }
+    return ee.Classifier.smileGradientTreeBoost(params);
+  },
+  svm: function(config) {
+    var settings = config.backends.svm;
+    return ee.Classifier.libsvm({
+      kernelType: settings.kernelType,
+      gamma: settings.gamma,
+      cost: settings.cost
+    });
+  },
+  cart: function(config) {
+    var settings = config.backends.cart;
+    var params = {minLeafPopulation: settings.minLeafPopulation};
+    if (settings.maxNodes) {
+      params.maxNodes = settings.maxNodes;
+    }
+    return ee.Classifier.smileCart(params);
+  },
+  naiveBayes: function(config) {
+    return ee.Classifier.smileNaiveBayes({lambda: config.backends.naiveBayes.lambda});
+  }
+};
+var BACKEND_NAMES = Object.keys(BACKENDS).concat(['ensemble']);
+
+// Backends whose inputs are rescaled first: SVM needs standardized features,
+// Naive Bayes expects non-negative integers
+var BACKEND_SCALING = {svm: 'standardize', naiveBayes: 'quantize'};
+
+// Backends with a per-class probability output, usable in averaging ensembles
+var PROBABILITY_BACKENDS = ['randomForest', 'gradientTreeBoost', 'cart', 'naiveBayes'];
+
+// Tree backends: the only ones that report variable importance and whose
+// classifiers Export.classifier.toAsset can save
+var TREE_BACKENDS = ['randomForest', 'gradientTreeBoost', 'cart'];
+
+// Backends trained for the model of a run: the ensemble members or the backend
+function getModelBackends(config) {
+  var ensemble = (config.backends || {}).ensemble || {};
+  return config.backend === 'ensemble' ? [].concat(ensemble.members || []) : [config.backend];
+}
+var ENSEMBLE_METHODS = ['vote', 'probability'];
+var SVM_KERNELS = ['LINEAR', 'POLY', 'RBF', 'SIGMOID'];
+
+// Rescale the input bands with statistics of the training samples, into
+// bands / properties named scaled_<band> so the originals stay untouched.
+// 'standardize' gives zero mean and unit variance; 'quantize' maps the
+// training range onto the integers 0..255
+function createScaler(training, inputs, mode) {
+  var n = inputs.length;
+  var offset, scale;
+  if (mode === 'standardize') {
+    var moments = training.reduceColumns(ee.Reducer.mean().repeat(n)
+      .combine({reducer2: ee.Reducer.stdDev().repeat(n), sharedInputs: true}), inputs);
+    offset = ee.Array(moments.get('mean'));
+    scale = ee.Array(moments.get('stdDev')).max(1e-6);
+  } else {
+    var range = training.reduceColumns(ee.Reducer.minMax().repeat(n), inputs);
+    offset = ee.Array(range.get('min'));
+    scale = ee.Array(range.get('max')).subtract(offset).max(1e-6).divide(255);
+  }
+  return buildScaler(inputs, mode, offset, scale);
+}
+
+// Scaler computing (value - offset) / scale for each input, from the arrays
+// of the training statistics
+function buildScaler(inputs, mode, offset, scale) {
+  var names = inputs.map(function(band) {return 'scaled_' + band;});
+  var finish = function(values) {
+    return mode === 'quantize' ? values.round().max(0).min(255) : values;
+  };
+
+  return {
+    mode: mode,
+    offset: offset,
+    scale: scale,
+    bands: names,
+    table: function(fc) {
+      return fc.map(function(f) {
+        var values = ee.Array(f.toDictionary(inputs).values(inputs));
+        values = finish(values.subtract(offset).divide(scale));
+        return f.set(ee.Dictionary.fromLists(names, values.toList()));
+      });
+    },
+    image: function(image) {
+      var values = image.select(inputs)
+        .subtract(ee.Image.constant(offset.toList()).rename(inputs))
+        .divide(ee.Image.constant(scale.toList()).rename(inputs));
+      return image.addBands(finish(values).rename(names));
+    }
+  };
+}
+
+// Train a backend on a sample table. The returned model classifies images
+// and tables into a 'classification' band / property (or outputName);
+// outputMode is passed to the classifier, e.g. 'MULTIPROBABILITY'
+function trainModel(backend, training, labelBand, config, outputMode) {
+  if (backend === 'ensemble') {
+    return trainEnsemble(training, labelBand, config);
+  }
+
+  var inputs = getPredictors(config, labelBand);
+  var scaler = BACKEND_SCALING[backend] ?
+    createScaler(training, inputs, BACKEND_SCALING[backend]) : null;
+  var classifier = BACKENDS[backend](config);
+  if (outputMode) {
+    classifier = classifier.setOutputMode(outputMode);
+  }
+  classifier = classifier.train({
+    features: scaler ? scaler.table(training) : training,
+    classProperty: labelBand,
+    inputProperties: scaler ? scaler.bands : inputs
+  });
+  return wrapClassifier(backend, classifier, scaler);
+}
+
+// Model around a trained classifier and its optional input scaler
+function wrapClassifier(backend, classifier, scaler) {
+  return {
+    backend: backend,
+    classifier: classifier,
+    scaler: scaler,
+    classifyImage: function(image, outputName) {
+      return (scaler ? scaler.image(image) : image)
+        .classify(classifier, outputName || 'classification');
+    },
+    classifyTable: function(fc, outputName) {
+      return (scaler ? scaler.table(fc) : fc)
+        .classify(classifier, outputName || 'classification');
+    }
+  };
+}
+
+// Combine several backends by majority vote, or by averaging their class
+// probabilities. For averaging the labels are remapped to 0..n-1 so every
+// member returns the probabilities in the same order
+function trainEnsemble(training, labelBand, config) {
+  var settings = config.backends.ensemble;
+  var byProbability = settings.method === 'probability';
+  var order = ee.List(training.aggregate_array(labelBand).distinct()).sort();
+  var indices = ee.List.sequence(0, order.size().subtract(1));
+  var memberTraining = byProbability ? training.remap(order, indices, labelBand) : training;
+
+  var members = settings.members.map(function(backend) {
+    return trainModel(backend, memberTraining, labelBand, config,
+      byProbability ? 'MULTIPROBABILITY' : null);
+  });
+  return combineMembers(members, byProbability, order);
+}
+
+// Ensemble model over trained members. Probability members return their
+// class probabilities in the order of `order`
+function combineMembers(members, byProbability, order) {
+  order = ee.List(order);
+  var indices = ee.List.sequence(0, order.size().subtract(1));
+  var memberNames = members.map(function(member, i) {
+    return 'member_' + i;
+  });
+
+  var classifyImage = function(image, outputName) {
+    var outputs = members.map(function(member) {
+      return member.classifyImage(image);
+    });
+    if (!byProbability) {
+      return ee.ImageCollection(outputs).mode().rename(outputName || 'classification');
+    }
+    var total = outputs.reduce(function(sum, output) {return sum.add(output);});
+    return total.arrayArgmax().arrayGet([0])
+      .remap(indices, order)
+      .rename(outputName || 'classification');
+  };
+
+  var classifyTable = function(fc, outputName) {
+    members.forEach(function(member, i) {
+      fc = member.classifyTable(fc, memberNames[i]);
+    });
+    return fc.map(function(f) {
+      var outputs = ee.List(memberNames.map(function(name) {return f.get(name);}));
+      var label = byProbability ?
+        order.get(ee.List(ee.Array(outputs.slice(1).iterate(function(output, sum) {
+          return ee.Array(sum).add(ee.Array(output));
+        }, ee.Array(outputs.get(0)))).argmax()).get(0)) :
+        outputs.reduce(ee.Reducer.mode());
+      return f.set(outputName || 'classification', label);
+    });
+  };
+
+  return {
+    backend: 'ensemble',
+    classifier: null,
+    members: members,
+    order: order,
+    byProbability: byProbability,
+    classifyImage: classifyImage,
+    classifyTable: classifyTable
+  };
+}
+
+// Check the backend config, pushing messages into errors
+function validateBackends(config, errors) {
+  var isBackend = function(name) {return BACKEND_NAMES.indexOf(name) !== -1;};
+  if (!isBackend(config.backend)) {
+    errors.push('backend must be one of ' + BACKEND_NAMES.join(', ') + '.');
+  }
+
+  var backends = config.backends || {};
+  var gtb = backends.gradientTreeBoost || {};
+  if (!isPositiveInteger(gtb.numberOfTrees) || !isNumberBetween(gtb.shrinkage, 0, 1) ||
+      !isNumberBetween(gtb.samplingRate, 0, 1)) {
+    errors.push('backends.gradientTreeBoost needs numberOfTrees > 0, shrinkage and samplingRate in [0, 1].');
+  }
+  var svm = backends.svm || {};
+  if (SVM_KERNELS.indexOf(svm.kernelType) === -1) {
+    errors.push('backends.svm.kernelType must be one of ' + SVM_KERNELS.join(', ') + '.');
+  }
+  if (!(svm.gamma > 0) || !(svm.cost > 0)) {
+    errors.push('backends.svm.gamma and backends.svm.cost must be positive numbers.');
+  }
+  if (!isPositiveInteger((backends.cart || {}).minLeafPopulation)) {
+    errors.push('backends.cart.minLeafPopulation must be a positive integer.');
+  }
+  if (!((backends.naiveBayes || {}).lambda > 0)) {
+    errors.push('backends.naiveBayes.lambda must be a positive number.');
+  }
+
+  var ensemble = backends.ensemble || {};
+  if (ENSEMBLE_METHODS.indexOf(ensemble.method) === -1) {
+    errors.push('backends.ensemble.method must be one of ' + ENSEMBLE_METHODS.join(', ') + '.');
+  }
+  var members = ensemble.members instanceof Array ? ensemble.members : [];
+  if (members.length < 2 || !members.every(function(name) {
+    return BACKENDS.hasOwnProperty(name);
+  })) {
+    errors.push('backends.ensemble.members must list at least two of ' + Object.keys(BACKENDS).join(', ') + '.');
+  } else if (ensemble.method === 'probability' && !members.every(function(name) {
+    return PROBABILITY_BACKENDS.indexOf(name) !== -1;
+  })) {
+    errors.push('probability ensembles only support ' + PROBABILITY_BACKENDS.join(', ') + '.');
+  }
+
+  var comparison = config.comparison || {};
+  if (comparison.enabled && !(comparison.backends instanceof Array &&
+      comparison.backends.length && comparison.backends.every(isBackend))) {
+    errors.push('comparison.backends must list backends among ' + BACKEND_NAMES.join(', ') + '.');
+  }
+}
+
+// Train the backend selected in the config
+function trainClassifier(training, labelBand, config) {
+  return trainModel(config.backend, training, labelBand, config);
+}
+
+// Train every backend of config.comparison on the same training samples,
+// test them on the same validation samples and print the metrics side by side
+function compareBackends(training, validation, labelBand, config) {
+  var order = ee.List(validation.aggregate_array(labelBand).distinct()).sort();
+  var rows = config.comparison.backends.map(function(backend) {
+    var matrix = trainModel(backend, training, labelBand, config)
+      .classifyTable(validation)
+      .errorMatrix(labelBand, 'classification', order);
+    return ee.Feature(null, {
+      backend: backend,
+      accuracy: matrix.accuracy(),
+      kappa: matrix.kappa(),
+      producers: matrix.producersAccuracy().project([0]).toList().reduce(ee.Reducer.mean()),
+      consumers: matrix.consumersAccuracy().project([1]).toList().reduce(ee.Reducer.mean())
+    });
+  });
+  var comparison = ee.FeatureCollection(rows);
+
+  show(ui.Chart.feature.byFeature({
+    features: comparison,
+    xProperty: 'backend',
+    yProperties: ['accuracy', 'kappa', 'producers', 'consumers']
+  }).setChartType('Table').setOptions({title: 'Classifier comparison (mean per-class accuracies)'}));
+
+  if (shouldExport(config, 'reports')) {
+    exportTable(comparison, 'classifier_comparison_' + config.year, config, 'CSV');
+  }
+  return comparison;
+}
+
+
+//**************************************************************************
+// Feature Importance
+//**************************************************************************
+
+function showFeatureImportance(classifier) {
+  // Run .explain() to see what the classifer looks like
+  show(classifier.explain())
+
+  // Calculate variable importance
+  var importance = ee.Dictionary(classifier.explain().get('importance'))
+
+  // Calculate relative importance
+  var sum = importance.values().reduce(ee.Reducer.sum())
+
+  var relativeImportance = importance.map(function(key, val) {
+    return (ee.Number(val).multiply(100)).divide(sum)
+    })
+  show(relativeImportance)
+
+  // Create a FeatureCollection so we can chart it
+  var importanceFc = ee.FeatureCollection([
+    ee.Feature(null, relativeImportance)
+  ])
+
+  var chart = ui.Chart.feature.byProperty({
+    features: importanceFc
+  }).setOptions({
+        title: 'Feature Importance',
+        vAxis: {title: 'Importance'},
+        hAxis: {title: 'Feature'}
+    })
+  show(chart)
+  return relativeImportance;
+}
+
+
+var FEATURE_SELECTION_METHODS = ['topN', 'recursive', 'correlation'];
+
+// Throw when user-given bands hold the label band or any other band of the
+// reference, which would leak the answer into the model or the map
+function checkReferenceBands(bands, labelBand, config, field) {
+  var leaked = bands.filter(function(band) {
+    return band === labelBand || band.indexOf(config.reference.bandPrefix) === 0;
+  });
+  if (leaked.length) {
+    throw new Error('Reference bands cannot be ' + field + ': ' + leaked.join(', '));
+  }
+  return bands;
+}
+
+// Predictor bands used for training. The label band (or any other band of
+// the reference) must never be one of them
+function getPredictors(config, labelBand) {
+  return checkReferenceBands(getInputBands(config), labelBand, config, 'predictors');
+}
+
+// Shallow copy of the config with some top-level keys replaced
+function extendConfig(config, changes) {
+  var copy = {};
+  Object.keys(config).forEach(function(key) {copy[key] = config[key];});
+  Object.keys(changes).forEach(function(key) {copy[key] = changes[key];});
+  return copy;
+}
+
+// Copy of the config whose predictors are `bands`
+function withPredictors(config, bands) {
+  return extendConfig(config, {predictors: bands});
+}
+
+// Random Forest importance of each band, as a server-side dictionary
+function getImportance(training, labelBand, bands, config) {
+  return buildRandomForest(config.classifier).train({
+    features: training,
+    classProperty: labelBand,
+    inputProperties: bands
+  }).explain().get('importance');
+}
 
-  // Apply scale factors and offset
-  var opticalBands = image.select('SR_B.').multiply(0.0000275).add(-0.2);
-  var thermalBands = image.select('ST_B.*').multiply(0.00341802).add(149.0);
+// Bands sorted from the most to the least important, given the client-side
+// importance dictionary
+function sortByImportance(bands, importance) {
+  return bands.slice().sort(function(a, b) {
+    return (importance[b] || 0) - (importance[a] || 0);
+  });
+}
 
-  // Replace original bands by corrected ones and apply the masks
-  return image.addBands(opticalBands, null, true)
-      .addBands(thermalBands, null, true)
-      .updateMask(qaMask)
-      .updateMask(saturationMask);
+// Choose the predictors:
+//  - 'topN': the `count` most important bands
+//  - 'recursive': drop the `step` least important bands and retrain, until
+//    `count` are left. Each round is a model and a request, so the last of
+//    maxRounds drops all the bands left over in one batch
+//  - 'correlation': walk the bands from the most important and drop those
+//    correlated above maxCorrelation with a band already kept
+// Returns the selected bands, or with a callback (the app, which must not
+// block) passes them to callback(selected, error) as the requests return
+function selectFeatures(training, labelBand, config, callback) {
+  var settings = config.featureSelection;
+  var bands = getPredictors(config, labelBand);
+  var selected;
+
+  // Client-side value of an object, blocking unless there is a callback
+  var fetch = function(object, next) {
+    if (!callback) {
+      next(object.getInfo());
+      return;
+    }
+    object.evaluate(function(value, error) {
+      if (error) {
+        callback(null, new Error(error));
+      } else {
+        next(value);
+      }
+    });
+  };
+
+  var finish = function(bandsKept) {
+    selected = bandsKept;
+    show('Selected predictors (' + settings.method + ')', selected);
+    show('Dropped predictors', bands.filter(function(band) {
+      return selected.indexOf(band) === -1;
+    }));
+    if (callback) {
+      callback(selected);
+    }
+  };
+
+  // Retrain on the kept bands and rank them again, until count are left
+  var eliminate = function(kept, round) {
+    var keep = round < settings.maxRounds ? Math.max(settings.count, kept.length - settings.step) : settings.count;
+    kept = kept.slice(0, keep);
+    if (kept.length <= settings.count) {
+      finish(kept);
+      return;
+    }
+    fetch(getImportance(training, labelBand, kept, config), function(importance) {
+      eliminate(sortByImportance(kept, importance), round + 1);
+    });
+  };
+
+  // Importance and correlation in a single request
+  var stats = ee.Dictionary({importance: getImportance(training, labelBand, bands, config)});
+  if (settings.method === 'correlation') {
+    stats = stats.set('correlation', computeCorrelation(training, bands));
+  }
+  fetch(stats, function(info) {
+    var ranked = sortByImportance(bands, info.importance);
+    if (settings.method === 'topN') {
+      finish(ranked.slice(0, settings.count));
+    } else if (settings.method === 'recursive') {
+      if (ranked.length > settings.count) {
+        eliminate(ranked, 1);
+      } else {
+        finish(ranked);
+      }
+    } else {
+      var kept = [];
+      ranked.forEach(function(band) {
+        var i = bands.indexOf(band);
+        var redundant = kept.some(function(other) {
+          return Math.abs(info.correlation[i][bands.indexOf(other)]) > settings.maxCorrelation;
+        });
+        if (!redundant) {
+          kept.push(band);
+        }
+      });
+      finish(kept);
+    }
+  });
+  return selected;
 }
 
-// Function to create spectral indices
-function indices (image) {
-  // NDVI (Normalized Difference Vegetation Index)
-  var ndvi =  image.normalizedDifference(['SR_B5', 'SR_B4']).rename('NDVI'); 
-  
-  // EVI (Enhanced Vegeation Index)
-  var evi = image.expression(
-    '2.5 * ((N - R) / (N + (6 * R) - (7.5 * B) + 1))', 
-    { 'N': image.select('SR_B5'), 'R': image.select('SR_B4'), 'B': image.select('SR_B2')}
-  ).rename('EVI');
-  
-  // NDWI (Normalized Difference Water Index)
-  var ndwi = image.normalizedDifference(['SR_B3', 'SR_B5']).rename ('NDWI'); 
-  
-  // NDWI_VEG (Normalized Difference Water Index for Vegetation)
-  var ndwi_veg = image.normalizedDifference(['SR_B5', 'SR_B6']).rename ('NDWI_VEG'); 
-  
-  // MNDWI (Modified Normalized Difference Water Index)
-  var mndwi = image.normalizedDifference(['SR_B3', 'SR_B6']).rename('MNDWI'); 
-  
-  // NBR (Normalized Burn Ratio)
-  var nbr = image.normalizedDifference(['SR_B5', 'SR_B7']).rename ('NBR'); 
-  
-  // Green Chlorophyll Vegetation Index (GCVI)
-  var GCVI = image.expression(
-    '(NIR / GREEN) - 1',
-    {
-      'NIR': image.select('SR_B5'),   // NIR
-      'GREEN': image.select('SR_B3') // GREEN
-    }
-  ).rename('GCVI');
-  
-  // Hallcover Index (HALLCOVER) - tailored for Savannah Formation
-  var HALLCOVER = image.expression(
-    '(-RED * 0.017 - NIR * 0.007 - SWIR2 * 0.079 + 5.22)',
-    {
-      'RED': image.select('SR_B4'),   // RED
-      'NIR': image.select('SR_B5'),   // NIR
-      'SWIR2': image.select('SR_B7')  // SWIR2
-    }
-  ).rename('HALLCOVER');
-  
-  // Photochemical Reflectance Index (PRI)
-  var PRI = image.expression(
-    '(BLUE - GREEN) / (BLUE + GREEN)',
-    {
-      'BLUE': image.select('SR_B2'),  // BLUE
-      'GREEN': image.select('SR_B3') // GREEN
-    }
-  ).rename('PRI');
-  
-  // Bare Soil Index (BSI)
-  var BSI = image.expression(
-    '((SWIR2 + RED) - (SWIR2 - BLUE)) / ((SWIR2 + RED) + (SWIR2 - BLUE))',
-    {
-      'SWIR2': image.select('SR_B7'), // SWIR2
-      'RED': image.select('SR_B4'),   // RED
-      'BLUE': image.select('SR_B2')   // BLUE
-    }
-  ).rename('BSI');
-
-  
-  // Add spectral indices as new bands in the image collection
-  return image.addBands([ndvi, evi, ndwi, ndwi_veg, mndwi, nbr,GCVI,HALLCOVER,PRI,BSI]);
+// Check the featureSelection config, pushing messages into errors
+function validateFeatureSelection(settings, errors) {
+  if (settings.method === null) {
+    return;
+  }
+  if (FEATURE_SELECTION_METHODS.indexOf(settings.method) === -1) {
+    errors.push('featureSelection.method must be null or one of ' + FEATURE_SELECTION_METHODS.join(', ') + '.');
+  }
+  if (settings.method !== 'correlation' && !isPositiveInteger(settings.count)) {
+    errors.push('featureSelection.count must be a positive integer.');
+  }
+  if (settings.method === 'recursive' && !isPositiveInteger(settings.step)) {
+    errors.push('featureSelection.step must be a positive integer.');
+  }
+  if (settings.method === 'recursive' && !isPositiveInteger(settings.maxRounds)) {
+    errors.push('featureSelection.maxRounds must be a positive integer.');
+  }
+  if (settings.method === 'correlation' && !isNumberBetween(settings.maxCorrelation, 0, 1)) {
+    errors.push('featureSelection.maxCorrelation must be between 0 and 1.');
+  }
 }
 
 
-// Function to create annual mosaics, get metadata and apply grouped reducers
-function createAnnualMosaic(year) {
-  var startDate = ee.Date.fromYMD(year, 1, 1);
-  var endDate = ee.Date.fromYMD(year, 12, 31);
-  
-  var landsatCollection = ee.ImageCollection("LANDSAT/LC08/C02/T1_L2")
-                              .filterDate(startDate, endDate)
-                              .map(maskL8sr)
-                              .filter(ee.Filter.lt('CLOUD_COVER', 30))
-                              .filterBounds(geometry);
-  
-  // Show image collection metadata
-  print('Número de imagens da coleção para o ano ' + year + ':', landsatCollection.size());
-  var range = landsatCollection.reduceColumns(ee.Reducer.minMax(), ['system:time_start']);
-  print('Date range: ', ee.Date(range.get('min')), ee.Date(range.get('max')));
+//**************************************************************************
+// Hyperparameter Tuning
+//**************************************************************************
+
+// Parameters that can be tuned, with a check of a single value. null leaves
+// the Earth Engine default for variablesPerSplit and maxNodes
+var TUNING_PARAMETERS = {
+  numberOfTrees: isPositiveInteger,
+  variablesPerSplit: function(value) {return value === null || isPositiveInteger(value);},
+  minLeafPopulation: isPositiveInteger,
+  bagFraction: function(value) {return typeof value === 'number' && value > 0 && value <= 1;},
+  maxNodes: function(value) {return value === null || isPositiveInteger(value);}
+};
+var TUNING_SEARCHES = ['grid', 'random'];
+var TUNING_SCORINGS = ['holdout', 'cv'];
+
+// Values of a parameter of the search space: a list or a {start, end, step}
+function expandTuningValues(values) {
+  if (values instanceof Array) {
+    return values;
+  }
+  var count = Math.floor((values.end - values.start) / values.step + 1e-9) + 1;
+  var expanded = [];
+  for (var i = 0; i < count; i++) {
+    // Round away the floating point noise of fractional steps
+    expanded.push(parseFloat((values.start + i * values.step).toFixed(10)));
+  }
+  return expanded;
+}
 
-  // Apply indices function
-  var indexedCollection = landsatCollection.map(indices);
-  
-  // Calculate statistical reducers
-  var medianStats = indexedCollection.reduce(ee.Reducer.median());
-  var stdDevStats = indexedCollection.reduce(ee.Reducer.stdDev());
-  var minStats = indexedCollection.reduce(ee.Reducer.min());
-  var maxStats = indexedCollection.reduce(ee.Reducer.max());
-
-  // Combine reducers into a single image
-  var mosaic = medianStats
-    .addBands(stdDevStats)
-    .addBands(minStats)
-    .addBands(maxStats)
-    .setDefaultProjection('EPSG:4326', null, 30)
-    .select([
-      'SR_B2_median', 'SR_B3_median', 'SR_B4_median', 'SR_B5_median', 'SR_B6_median', 'SR_B7_median',
-      'NDVI_median', 'EVI_median', 'NDWI_median', 'NDWI_VEG_median', 'MNDWI_median', 'NBR_median', 
-      'GCVI_median', 'HALLCOVER_median', 'PRI_median', 'BSI_median',
-      'EVI_stdDev', 'NDVI_stdDev','GCVI_stdDev','PRI_stdDev', 'BSI_stdDev','HALLCOVER_stdDev',
-      'NDVI_min', 'NDVI_max','GCVI_min', 'GCVI_max','PRI_min','PRI_max','EVI_min','EVI_max','MNDWI_max','MNDWI_min'
-      ]);
-  
-  // Set system time start
-  return mosaic.set('system:time_start', startDate.millis());
+// Every combination of the values of the search space
+function getTuningGrid(space) {
+  return Object.keys(space).reduce(function(grid, name) {
+    var combined = [];
+    grid.forEach(function(trial) {
+      expandTuningValues(space[name]).forEach(function(value) {
+        var next = {};
+        Object.keys(trial).forEach(function(key) {next[key] = trial[key];});
+        next[name] = value;
+        combined.push(next);
+      });
+    });
+    return combined;
+  }, [{}]);
+}
+
+// Deterministic pseudo-random numbers in [0, 1) (mulberry32), so a random
+// search draws the same trials for the same seed
+function createRandom(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Trials of the search: the whole grid, or `budget` combinations drawn
+// from it without repetition
+function getTuningTrials(settings) {
+  var grid = getTuningGrid(settings.space);
+  if (settings.search === 'grid' || settings.budget >= grid.length) {
+    return grid;
+  }
+  var random = createRandom(settings.seed);
+  for (var i = 0; i < settings.budget; i++) {
+    var j = i + Math.floor(random() * (grid.length - i));
+    var swap = grid[i];
+    grid[i] = grid[j];
+    grid[j] = swap;
+  }
+  return grid.slice(0, settings.budget);
+}
+
+// Check the tuning config, pushing messages into errors
+function validateTuning(settings, errors) {
+  if (TUNING_SEARCHES.indexOf(settings.search) === -1) {
+    errors.push('tuning.search must be one of ' + TUNING_SEARCHES.join(', ') + '.');
+  }
+  if (settings.search === 'random' && !isPositiveInteger(settings.budget)) {
+    errors.push('tuning.budget must be a positive integer.');
+  }
+  if (TUNING_SCORINGS.indexOf(settings.scoring) === -1) {
+    errors.push('tuning.scoring must be one of ' + TUNING_SCORINGS.join(', ') + '.');
+  }
+  if (settings.scoring === 'holdout' && !(isNumberBetween(settings.holdoutRatio, 0, 1) &&
+      settings.holdoutRatio > 0 && settings.holdoutRatio < 1)) {
+    errors.push('tuning.holdoutRatio must be a number between 0 and 1 (exclusive).');
+  }
+  if (settings.scoring === 'cv' && (!isPositiveInteger(settings.folds) || settings.folds < 2)) {
+    errors.push('tuning.folds must be an integer >= 2.');
+  }
+  if (!isPositiveInteger(settings.seed) && settings.seed !== 0) {
+    errors.push('tuning.seed must be an integer >= 0.');
+  }
+
+  var space = settings.space || {};
+  if (!Object.keys(space).length) {
+    errors.push('tuning.space must have at least one parameter.');
+  }
+  Object.keys(space).forEach(function(name) {
+    var check = TUNING_PARAMETERS[name];
+    if (!check) {
+      errors.push('tuning.space.' + name + ' is not a tunable parameter (' +
+        Object.keys(TUNING_PARAMETERS).join(', ') + ').');
+    } else if (!(space[name] instanceof Array && space[name].length) && !isSequence(space[name])) {
+      errors.push('tuning.space.' + name + ' must be a non-empty list or {start, end, step} with start <= end.');
+    } else if (!expandTuningValues(space[name]).every(check)) {
+      errors.push('tuning.space.' + name + ' has invalid values.');
+    }
+  });
+}
+
+// Accuracy of a model trained on one part of the samples and tested on the other
+function scoreTrial(classifier, train, test, labelBand, config) {
+  return test
+    .classify(classifier.train({
+      features: train,
+      classProperty: labelBand,
+      inputProperties: getPredictors(config, labelBand)
+    }))
+    .errorMatrix(labelBand, 'classification')
+    .accuracy();
 }
 
+// Search the hyperparameters of the Random Forest using the training samples
+// only: each trial is scored on a tuning fold split off the training samples
+// or by cross-validation over them. The best model is trained on all the
+// training samples, leaving the validation set untouched for the final test
+function tuneHyperparameters(dataset, trainingPoints, labelBand, config) {
+  var settings = config.tuning;
+  var trials = getTuningTrials(settings);
+
+  // Samples used for scoring: tag a holdout part per class, or the folds
+  var table;
+  if (settings.scoring === 'holdout') {
+    var training = extractSamples(dataset, trainingPoints, labelBand);
+    var classes = ee.List(training.aggregate_array(labelBand).distinct());
+    table = ee.FeatureCollection(classes.map(function(classValue) {
+      return training.filter(ee.Filter.eq(labelBand, classValue))
+        .randomColumn('random', settings.seed);
+    })).flatten();
+  } else {
+    var folds = assignFolds(trainingPoints, labelBand, {
+      method: config.crossValidation.method,
+      folds: settings.folds,
+      seed: settings.seed
+    }, config);
+    table = extractSamples(dataset, folds, labelBand, ['fold']);
+  }
+
+  var classifiers = [];
+  var results = trials.map(function(trial, index) {
+    var params = {};
+    Object.keys(config.classifier).forEach(function(key) {params[key] = config.classifier[key];});
+    Object.keys(trial).forEach(function(key) {params[key] = trial[key];});
+    var classifier = buildRandomForest(params);
+    classifiers.push(classifier);
+
+    var score;
+    if (settings.scoring === 'holdout') {
+      score = scoreTrial(classifier,
+        table.filter(ee.Filter.gte('random', settings.holdoutRatio)),
+        table.filter(ee.Filter.lt('random', settings.holdoutRatio)),
+        labelBand, config);
+    } else {
+      var scores = [];
+      for (var fold = 0; fold < settings.folds; fold++) {
+        scores.push(scoreTrial(classifier,
+          table.filter(ee.Filter.neq('fold', fold)),
+          table.filter(ee.Filter.eq('fold', fold)),
+          labelBand, config));
+      }
+      score = ee.List(scores).reduce(ee.Reducer.mean());
+    }
 
-/*********************** VISUALIZE THE MOSAICS  **************************************/
+    // null (Earth Engine default) is kept as -1 so the table stays numeric
+    var properties = {trial: index, score: score};
+    Object.keys(settings.space).forEach(function(name) {
+      properties[name] = trial[name] === null ? -1 : trial[name];
+    });
+    return ee.Feature(null, properties);
+  });
+  var resultFc = ee.FeatureCollection(results);
 
-// Apply the function to create a mosaic
-var mosaic2017 = createAnnualMosaic(2017);
+  var chart = ui.Chart.feature.byFeature({
+    features: resultFc,
+    xProperty: 'trial',
+    yProperties: ['score']
+  }).setOptions({
+    title: 'Hyperparameter Tuning (' + settings.search + ' search, ' + settings.scoring + ' scoring)',
+    vAxis: {title: 'Tuning Accuracy'},
+    hAxis: {title: 'Trial'}
+  });
+  show(chart);
+
+  // Pick the trial with the highest score
+  var best = ee.Feature(resultFc.sort('score', false).first());
+  show('Best hyperparameters', best);
+
+  // Use the optimal parameters in a model trained on all the training samples
+  var optimalModel = ee.Classifier(ee.List(classifiers).get(best.getNumber('trial')))
+    .train({
+      features: extractSamples(dataset, trainingPoints, labelBand),
+      classProperty: labelBand,
+      inputProperties: getPredictors(config, labelBand)
+    });
+
+  // Printing or Displaying the image may time out as it requires
+  // extensive computation to find the optimal parameters
+  return {
+    results: resultFc,
+    best: best,
+    classifier: optimalModel,
+    classification: dataset.classify(optimalModel)
+  };
+}
 
-// Show the mosaic on the map
-Map.centerObject(geometry, 10);
-Map.addLayer(mosaic2017, {bands: ['SR_B4_median', 'SR_B3_median', 'SR_B2_median'], min: 0, max: 0.3}, 'Mosaico 2017');
 
+//**************************************************************************
+// Cross-validation
+//**************************************************************************
 
-// Clip the mosaic for the region of interest
-var mosaic2017_clip = mosaic2017.clip(geometry)
+// Number each item of a shuffled collection with fold = rank % folds, so
+// the folds get the same share of it
+function dealFolds(fc, folds) {
+  var list = fc.sort('random').toList(fc.size());
+  return ee.FeatureCollection(ee.List.sequence(0, list.size().subtract(1))
+    .map(function(i) {
+      return ee.Feature(list.get(i)).set('fold', ee.Number(i).mod(folds));
+    }));
+}
 
-// Show the cliped mosaic on the map
-Map.addLayer(mosaic2017_clip, {bands: ['SR_B4_median', 'SR_B3_median', 'SR_B2_median'], min: 0, max: 0.3}, 'Mosaico 2017 (clip)',false);
+// Tag each sample with a 'fold' (settings: method, folds, seed). Random
+// folds are dealt per class; spatial folds deal whole blocks, grouped by
+// their dominant class
+function assignFolds(points, labelBand, cv, config) {
+  var classes = ee.List(points.aggregate_array(labelBand).distinct());
+
+  if (cv.method === 'random') {
+    return ee.FeatureCollection(classes.map(function(classValue) {
+      var classPoints = points.filter(ee.Filter.eq(labelBand, classValue))
+        .randomColumn('random', cv.seed);
+      return dealFolds(classPoints, cv.folds);
+    })).flatten();
+  }
+
+  var blocked = assignBlocks(points, cv.method, config);
+  var blockInfo = getBlockInfo(blocked, labelBand, cv.seed);
+  var groups = ee.List(blockInfo.aggregate_array('dominant').distinct());
+  var blockFolds = ee.FeatureCollection(groups.map(function(classValue) {
+    return dealFolds(blockInfo.filter(ee.Filter.eq('dominant', classValue)), cv.folds);
+  })).flatten();
+  var folds = ee.Dictionary.fromLists(
+    blockFolds.aggregate_array('block'), blockFolds.aggregate_array('fold'));
+
+  return blocked.map(function(f) {
+    return f.set('fold', folds.get(f.get('block')));
+  });
+}
 
+// Mean and sample standard deviation, per class, of an array property
+// holding one value per class in each fold
+function summarizePerClass(folds, property, order) {
+  // One row per fold, one column per class
+  var values = ee.Array(folds.aggregate_array(property));
+  var mean = values.reduce(ee.Reducer.mean(), [0]).project([1]).toList();
+  var stdDev = values.reduce(ee.Reducer.sampleStdDev(), [0]).project([1]).toList();
+  return ee.List.sequence(0, order.size().subtract(1)).map(function(i) {
+    return ee.Feature(null, {
+      'class': order.get(i),
+      'mean': mean.get(i),
+      'stdDev': stdDev.get(i)
+    });
+  });
+}
 
+// "mean ± std" of a fold property
+function formatMeanStd(folds, property) {
+  return ee.Number(folds.aggregate_mean(property)).format('%.3f')
+    .cat(' ± ')
+    .cat(ee.Number(folds.aggregate_sample_sd(property)).format('%.3f'));
+}
 
+// Train a Random Forest on k - 1 folds and test it on the remaining one, for
+// every fold. Reports mean ± std of the overall accuracy, kappa and per-class
+// producer's / consumer's accuracy
+function crossValidate(dataset, points, labelBand, config) {
+  var cv = config.crossValidation;
+  var assignments = assignFolds(points, labelBand, cv, config);
+  var table = extractSamples(dataset, assignments, labelBand, ['fold']);
+
+  // Fix the class order so the matrices of all folds line up
+  var order = ee.List(table.aggregate_array(labelBand).distinct()).sort();
+
+  var folds = [];
+  for (var fold = 0; fold < cv.folds; fold++) {
+    var classifier = buildRandomForest(config.classifier).train({
+      features: table.filter(ee.Filter.neq('fold', fold)),
+      classProperty: labelBand,
+      inputProperties: getPredictors(config, labelBand)
+    });
+    var test = table.filter(ee.Filter.eq('fold', fold));
+    var matrix = test.classify(classifier)
+      .errorMatrix(labelBand, 'classification', order);
+    folds.push(ee.Feature(null, {
+      'fold': fold,
+      'size': test.size(),
+      'accuracy': matrix.accuracy(),
+      'kappa': matrix.kappa(),
+      'producers': matrix.producersAccuracy().project([0]),
+      'consumers': matrix.consumersAccuracy().project([1]),
+      'order': order,
+      'matrix': matrix.array()
+    }));
+  }
+  folds = ee.FeatureCollection(folds);
+
+  var summary = {
+    accuracy: formatMeanStd(folds, 'accuracy'),
+    kappa: formatMeanStd(folds, 'kappa'),
+    producers: ee.FeatureCollection(summarizePerClass(folds, 'producers', order)),
+    consumers: ee.FeatureCollection(summarizePerClass(folds, 'consumers', order))
+  };
+
+  var title = cv.folds + '-fold ' + cv.method + ' cross-validation';
+  show(title + ' overall accuracy', summary.accuracy);
+  show(title + ' Kappa index', summary.kappa);
+  show(title + ' producers accuracy', summary.producers);
+  show(title + ' consumers accuracy', summary.consumers);
+
+  // The fold of each sample and the error matrix of each fold
+  if (shouldExport(config, 'reports')) {
+    exportTable(assignments, 'cv_folds_' + config.year, config, 'CSV');
+    exportTable(folds, 'cv_matrices_' + config.year, config, 'CSV');
+  }
+
+  return {assignments: assignments, folds: folds, summary: summary};
+}
 
-/************** MAP BIOMAS COLLECTION 8 *****************/
 
-// Get a reference dataset
-var mapbiomas = 'projects/mapbiomas-public/assets/brazil/lulc/collection8/mapbiomas_collection80_integration_v1'
+/******************* CLASSIFICATION CONFIDENCE ****************************/
 
-// Instaciante the dataset as an image
-var mapbiomas = ee.Image(mapbiomas)
-print('Dado mapbiomas', mapbiomas)
+// Per-class probabilities of the configured backend (the mean over the
+// members of an ensemble) as a 'probability' array image ordered like
+// `order`, the sorted class values of the training samples
+function predictProbabilities(training, labelBand, image, config) {
+  var order = ee.List(training.aggregate_array(labelBand).distinct()).sort();
+  var indices = ee.List.sequence(0, order.size().subtract(1));
+  // Labels 0..n-1 so every backend returns one probability per class, in order
+  var remapped = training.remap(order, indices, labelBand);
 
-// Select the year of interest
-var lulc_2017 = mapbiomas.select('classification_2017')
+  var backends = config.backend === 'ensemble' ?
+    config.backends.ensemble.members : [config.backend];
+  var outputs = backends.map(function(backend) {
+    return trainModel(backend, remapped, labelBand, config, 'MULTIPROBABILITY')
+      .classifyImage(image, 'probability');
+  });
+  var probability = outputs
+    .reduce(function(sum, output) {return sum.add(output);})
+    .divide(outputs.length);
+
+  return {order: order, probability: probability};
+}
+
+// One probability_<class> band per class
+function flattenProbabilities(prediction) {
+  var names = prediction.order.map(function(classValue) {
+    return ee.String('probability_').cat(ee.Number(classValue).format('%d'));
+  });
+  return prediction.probability.arrayFlatten([names]);
+}
+
+// Confidence of each pixel: probability of the top class, margin to the
+// second class and entropy normalized to [0, 1] (1 = all classes equally likely)
+function createConfidenceLayers(prediction) {
+  var probability = prediction.probability;
+  // A zero is added so a single class still has a second probability
+  var sorted = probability.arrayCat(ee.Image(ee.Array([0])), 0).arraySort();
+  var top = sorted.arraySlice(0, -1).arrayGet([0]);
+  var second = sorted.arraySlice(0, -2, -1).arrayGet([0]);
+  // At least log(2), so a single class gives an entropy of 0, not NaN
+  var entropy = probability.max(1e-12).log().multiply(probability)
+    .arrayReduce(ee.Reducer.sum(), [0]).arrayGet([0])
+    .multiply(-1)
+    .divide(ee.Number(prediction.order.size()).max(2).log());
+
+  return top.rename('confidence')
+    .addBands(top.subtract(second).rename('margin'))
+    .addBands(entropy.rename('entropy'));
+}
 
-// Fetch the color palette
-var palettes = require('users/mapbiomas/modules:Palettes.js').get('classification8');
-var vis = {
-  palette:palettes,
-  min:0,
-  max:62
+// Draw candidate sites for new reference data among the low-confidence pixels
+function sampleLowConfidence(lowConfidence, config) {
+  return lowConfidence.selfMask().rename('lowConfidence').sample({
+    region: config.aoi,
+    scale: CLASSIFICATION_GRID.scale,
+    numPixels: config.probability.candidatePoints,
+    seed: config.sampling.seed,
+    geometries: true,
+    tileScale: 16
+  });
+}
+
+// Probabilities, confidence layers and low-confidence pixels of a year
+function analyzeConfidence(result, config) {
+  var settings = config.probability;
+  var prediction = predictProbabilities(result.training, result.labelBand, result.mosaic, config);
+  var confidence = createConfidenceLayers(prediction);
+  var lowConfidence = confidence.select('confidence').lt(settings.minConfidence);
+
+  Map.addLayer(confidence.select('confidence'), {min: 0, max: 1, palette: ['d7191c', 'ffffbf', '1a9641']},
+    'Confiança - ' + result.year, false);
+  Map.addLayer(confidence.select('margin'), {min: 0, max: 1, palette: ['d7191c', 'ffffbf', '1a9641']},
+    'Margem - ' + result.year, false);
+  Map.addLayer(confidence.select('entropy'), {min: 0, max: 1, palette: ['1a9641', 'ffffbf', 'd7191c']},
+    'Entropia - ' + result.year, false);
+  Map.addLayer(lowConfidence.selfMask(), {palette: ['ff00ff']}, 'Baixa confiança - ' + result.year, false);
+
+  var candidates = sampleLowConfidence(lowConfidence, config);
+  show('Low-confidence candidate sites', candidates.size());
+
+  if (shouldExport(config, 'probabilities')) {
+    exportProbabilities(flattenProbabilities(prediction).addBands(confidence),
+      'probabilities_' + result.year, config);
+    exportTable(candidates, 'low_confidence_sites_' + result.year, config, 'SHP');
+  }
+
+  return {
+    order: prediction.order,
+    probabilities: flattenProbabilities(prediction),
+    confidence: confidence,
+    lowConfidence: lowConfidence,
+    candidates: candidates
+  };
+}
+
+// Check the probability config, pushing messages into errors
+function validateProbability(config, errors) {
+  var settings = config.probability || {};
+  if (!settings.enabled) {
+    return;
+  }
+  var backends = config.backend === 'ensemble' ?
+    config.backends.ensemble.members : [config.backend];
+  if (!backends.every(function(name) {return PROBABILITY_BACKENDS.indexOf(name) !== -1;})) {
+    errors.push('probability needs a backend (or ensemble members) among ' + PROBABILITY_BACKENDS.join(', ') + '.');
+  }
+  if (!(typeof settings.minConfidence === 'number' && settings.minConfidence > 0 &&
+      settings.minConfidence <= 1)) {
+    errors.push('probability.minConfidence must be in (0, 1].');
+  }
+  if (typeof settings.maskLowConfidence !== 'boolean') {
+    errors.push('probability.maskLowConfidence must be true or false.');
+  }
+  if (!isPositiveInteger(settings.candidatePoints)) {
+    errors.push('probability.candidatePoints must be a positive integer.');
+  }
 }
-print('Paleta de cores',palettes)
 
-// Show the reference dataset on the map
-Map.addLayer(lulc_2017,vis,'Uso e ocupação do solo - 2017',false)
 
-// Clip the dataset for the region of interest
-var lulc_2017_clip = lulc_2017.clip(geometry)
-Map.addLayer(lulc_2017_clip,vis,'Uso e ocupação do solo - 2017 (clip)')
+/***************************************  POST-PROCESSING ************************************************************/
 
 
+//**************************************************************************
+// Post-processing chain: each step takes the map and returns a smoothed map
+//**************************************************************************
 
+var KERNEL_TYPES = ['square', 'circle'];
 
-/******************  EXPLORATORY DATA ANALYSIS (EDA) *********************************/
+// connectedPixelCount counts at most 1024 pixels
+var MAX_PATCH_PIXELS = 1024;
 
+// Pixels of a patch of `hectares` on the classification grid
+function hectaresToPixels(hectares) {
+  return Math.ceil(hectares * 1e4 / Math.pow(CLASSIFICATION_GRID.scale, 2));
+}
 
+// Patch sizes and segments depend on the pixel size, so those steps run on
+// the classification grid instead of the scale of the map view
+function toClassificationGrid(image) {
+  return image.reproject({crs: CLASSIFICATION_GRID.crs, scale: CLASSIFICATION_GRID.scale});
+}
 
-// Calculate the area in square kilometers (km²) for each pixel
-var areaImage_2017 = ee.Image.pixelArea().divide(1e6).addBands(lulc_2017_clip);
-
-// Dictionary for class names and colors
-var classesDict = {
-  1: { name: 'Forest', color: '#32a65e' },
-  3: { name: 'Forest Formation', color: '#1f8d49' },
-  4: { name: 'Savanna Formation', color: '#7dc975' },
-  5: { name: 'Mangrove', color: '#04381d' },
-  6: { name: 'Floodable Forest (beta)', color: '#026975' },
-  49: { name: 'Wooded Sandbank Vegetation', color: '#02d659' },
-  10: { name: 'Non Forest Natural Formation', color: '#ad975a' },
-  11: { name: 'Wetland', color: '#519799' },
-  12: { name: 'Grassland', color: '#d6bc74' },
-  32: { name: 'Hypersaline Tidal Flat', color: '#fc8114' },
-  29: { name: 'Rocky Outcrop', color: '#ffaa5f' },
-  50: { name: 'Herbaceous Sandbank Vegetation', color: '#ad5100' },
-  13: { name: 'Other non Forest Formations', color: '#d89f5c' },
-  14: { name: 'Farming', color: '#FFFFB2' },
-  15: { name: 'Pasture', color: '#edde8e' },
-  18: { name: 'Agriculture', color: '#E974ED' },
-  19: { name: 'Temporary Crop', color: '#C27BA0' },
-  39: { name: 'Soybean', color: '#f5b3c8' },
-  20: { name: 'Sugar cane', color: '#db7093' },
-  40: { name: 'Rice', color: '#c71585' },
-  62: { name: 'Cotton (beta)', color: '#ff69b4' },
-  41: { name: 'Other Temporary Crops', color: '#f54ca9' },
-  36: { name: 'Perennial Crop', color: '#d082de' },
-  46: { name: 'Coffee', color: '#d68fe2' },
-  47: { name: 'Citrus', color: '#9932cc' },
-  35: { name: 'Palm Oil (beta)', color: '#9065d0' },
-  48: { name: 'Other Perennial Crops', color: '#e6ccff' },
-  9: { name: 'Forest Plantation', color: '#7a5900' },
-  21: { name: 'Mosaic of Uses', color: '#ffefc3' },
-  22: { name: 'Non vegetated area', color: '#d4271e' },
-  23: { name: 'Beach, Dune and Sand Spot', color: '#ffa07a' },
-  24: { name: 'Urban Area', color: '#d4271e' },
-  30: { name: 'Mining', color: '#9c0027' },
-  25: { name: 'Other non Vegetated Areas', color: '#db4d4f' },
-  26: { name: 'Water', color: '#0000FF' },
-  33: { name: 'River, Lake and Ocean', color: '#2532e4' },
-  31: { name: 'Aquaculture', color: '#091077' },
-  27: { name: 'Not Observed', color: '#ffffff' },
-  0: { name: 'Out of area of interest', color: '#808080' }
+var POST_PROCESSING_STEPS = {
+  // Majority (mode) filter over a kernel of `radius` meters
+  majority: function(classified, step) {
+    return classified.focal_mode({
+      radius: step.radius,
+      kernelType: step.kernelType,
+      units: 'meters'
+    });
+  },
+
+  // Minimum mapping unit: patches smaller than minArea hectares take the
+  // majority class of the surrounding larger patches within `radius` meters
+  sieve: function(classified, step) {
+    var minPixels = hectaresToPixels(step.minArea);
+    var patchSize = toClassificationGrid(classified)
+      .connectedPixelCount(minPixels + 1, true);
+    var small = patchSize.lt(minPixels);
+    var filled = classified.updateMask(small.not()).focal_mode({
+      radius: step.radius,
+      kernelType: step.kernelType,
+      units: 'meters'
+    });
+    return classified.where(small, filled.unmask(classified));
+  },
+
+  // Object majority: SNIC segments of the mosaic bands, each taking the
+  // most frequent class of its pixels
+  snic: function(classified, step, mosaic) {
+    var clusters = ee.Algorithms.Image.Segmentation.SNIC({
+      image: mosaic.select(step.bands),
+      size: step.size,
+      compactness: step.compactness,
+      connectivity: 8
+    }).select('clusters');
+    return classified.addBands(toClassificationGrid(clusters))
+      .reduceConnectedComponents({
+        reducer: ee.Reducer.mode(),
+        labelBand: 'clusters',
+        maxSize: MAX_PATCH_PIXELS
+      });
+  }
 };
 
-// Calculate total area by class using grouped reducer
-var areaClass_2017 = areaImage_2017.reduceRegion({
-  reducer: ee.Reducer.sum().group({
-    groupField: 1,
-    groupName: 'class'
-  }),
-  geometry: geometry,
-  scale: 30,
-  bestEffort: true,
-  maxPixels: 1e13,
-  tileScale: 16
-});
+// Run the post-processing steps in order. Pixels of the protected classes
+// keep their original class after every step. Returns the final map and the
+// map after each step, to be assessed one by one
+function postProcess(classified, mosaic, config) {
+  var post = config.postProcessing;
+  post.steps.forEach(function(step) {
+    if (step.type === 'snic') {
+      checkReferenceBands(step.bands, getLabelBand(config.year, config), config, 'snic bands');
+    }
+  });
+  var protectedPixels = classified.remap(post.protectedClasses,
+    post.protectedClasses.map(function() {return 1;}), 0);
+
+  var current = classified;
+  var steps = post.steps.map(function(step, i) {
+    current = POST_PROCESSING_STEPS[step.type](current, step, mosaic)
+      .where(protectedPixels, classified)
+      .rename('classification');
+    return {
+      title: 'Post-processing ' + (i + 1) + ' (' + step.type + ')',
+      image: current
+    };
+  });
+
+  return {image: current, steps: steps};
+}
 
-// Convert results to a list with class names and areas
-var areaListWithInfo = ee.List(areaClass_2017.get('groups')).map(function(item) {
-  item = ee.Dictionary(item);
-  var classValue = ee.Number(item.get('class'));
-  var areaKm2 = item.get('sum');
-  
-  // Add class name and color information from the dictionary
-  var classInfo = ee.Dictionary(classesDict).get(classValue);
-  return ee.Feature(null, {
-    'class': classValue,
-    'name': ee.Dictionary(classInfo).get('name'),
-    'area_km2': areaKm2
+// Check the postProcessing config, pushing messages into errors. The
+// protected classes are only checked against a valid legend (legendClasses)
+function validatePostProcessing(config, legendClasses, errors) {
+  var post = config.postProcessing || {};
+  if (!post.enabled) {
+    return;
+  }
+
+  if (!(post.protectedClasses instanceof Array) || legendClasses && !post.protectedClasses.every(function(code) {
+    return legendClasses.hasOwnProperty(code);
+  })) {
+    errors.push('postProcessing.protectedClasses must list classes of the active legend.');
+  }
+
+  if (!(post.steps instanceof Array) || !post.steps.length) {
+    errors.push('postProcessing.steps must list at least one step.');
+    return;
+  }
+  post.steps.forEach(function(step, i) {
+    var field = 'postProcessing.steps[' + i + ']';
+    if (!step || !POST_PROCESSING_STEPS.hasOwnProperty(step.type)) {
+      errors.push(field + '.type must be one of ' + Object.keys(POST_PROCESSING_STEPS).join(', ') + '.');
+      return;
+    }
+    if (step.type !== 'snic') {
+      if (!(typeof step.radius === 'number' && step.radius > 0)) {
+        errors.push(field + '.radius must be a positive number (meters).');
+      }
+      if (KERNEL_TYPES.indexOf(step.kernelType) === -1) {
+        errors.push(field + '.kernelType must be one of ' + KERNEL_TYPES.join(', ') + '.');
+      }
+    }
+    if (step.type === 'sieve' && !(typeof step.minArea === 'number' && step.minArea > 0 &&
+        hectaresToPixels(step.minArea) < MAX_PATCH_PIXELS)) {
+      errors.push(field + '.minArea must be a positive area (ha) below ' +
+        (MAX_PATCH_PIXELS * Math.pow(CLASSIFICATION_GRID.scale, 2) / 1e4) + ' ha.');
+    }
+    if (step.type === 'snic') {
+      if (!isPositiveInteger(step.size)) {
+        errors.push(field + '.size must be a positive integer (pixels between seeds).');
+      }
+      if (typeof step.compactness !== 'number' || step.compactness < 0) {
+        errors.push(field + '.compactness must be a number >= 0.');
+      }
+      if (!(step.bands instanceof Array) || !step.bands.length) {
+        errors.push(field + '.bands must list mosaic bands.');
+      }
+    }
   });
-});
+}
 
-// Convert the list to a FeatureCollection
-var areaFeatureCollection = ee.FeatureCollection(areaListWithInfo);
 
-// Create and print a table summarizing class names and areas
-var areaTable = ui.Chart.feature.byFeature({
-  features: areaFeatureCollection,
-  xProperty: 'name', // Class name
-  yProperties: ['area_km2'] // Area in km²
-}).setChartType('Table')
-  .setOptions({
-    title: 'Class Areas for 2017 (km²)',
-    columns: [
-      { label: 'Class Name', type: 'string' },
-      { label: 'Area (km²)', type: 'number' }
-    ]
+/******************* ACCURACY ASSESSMENT ****************************/
+
+// Sample a classified image at the validation points
+function sampleValidation(classified, validation, labelBand) {
+  return classified.sampleRegions({
+    collection: validation,
+    properties: [labelBand, STRATUM_PIXELS],
+    scale: 30,
+    tileScale: 16
   });
+}
 
-// Output the table
-print(areaTable);
+// Test a classified image with the validation set and build a full report:
+// confusion matrix labelled with the class names, per-class precision,
+// recall, F1, omission and commission errors, and macro / weighted F1.
+// Prints the tables and a heat map, and exports them when exports are enabled
+function createAccuracyReport(classified, validation, labelBand, config, title) {
+  var test = sampleValidation(classified, validation, labelBand);
+  var classes = getLegendClasses(config);
+
+  // Every class seen in the reference or in the map, in a fixed order
+  var order = ee.List(test.aggregate_array(labelBand))
+    .cat(test.aggregate_array('classification'))
+    .distinct()
+    .sort();
+  var names = order.map(function(classValue) {
+    return getClassProperty(classValue, 'name', classes);
+  });
+  var k = order.size();
+
+  // Rows are reference classes, columns predicted classes
+  var matrix = test.errorMatrix(labelBand, 'classification', order);
+  var counts = matrix.array();
+  var support = counts.reduce(ee.Reducer.sum(), [1]);
+  var predicted = counts.reduce(ee.Reducer.sum(), [0]).matrixTranspose();
+  var hits = counts.matrixDiagonal();
+  var recall = hits.divide(support.max(1));
+  var precision = hits.divide(predicted.max(1));
+  var f1 = precision.multiply(recall).multiply(2)
+    .divide(precision.add(recall).max(1e-12));
+
+  var confusion = ee.FeatureCollection(ee.List.sequence(0, k.subtract(1)).map(function(i) {
+    var row = counts.slice(0, ee.Number(i), ee.Number(i).add(1)).project([1]).toList();
+    return ee.Feature(null, ee.Dictionary.fromLists(names, row)
+      .set('reference', names.get(i)));
+  }));
+
+  var perClass = ee.FeatureCollection(ee.List.sequence(0, k.subtract(1)).map(function(i) {
+    var at = function(array) {return ee.Array(array).get([ee.Number(i), 0]);};
+    return ee.Feature(null, {
+      'class': order.get(i),
+      'name': names.get(i),
+      'support': at(support),
+      'precision': at(precision),
+      'recall': at(recall),
+      'f1': at(f1),
+      'omission': ee.Number(1).subtract(at(recall)),
+      'commission': ee.Number(1).subtract(at(precision))
+    });
+  }));
+
+  var totalSupport = support.reduce(ee.Reducer.sum(), [0]).get([0, 0]);
+  var summary = ee.Feature(null, {
+    'title': title,
+    'overall_accuracy': matrix.accuracy(),
+    'macro_f1': f1.reduce(ee.Reducer.mean(), [0]).get([0, 0]),
+    'weighted_f1': f1.multiply(support).reduce(ee.Reducer.sum(), [0]).get([0, 0])
+      .divide(ee.Number(totalSupport).max(1)),
+    'classes': order,
+    'names': names,
+    'matrix': counts
+  });
 
+  show(title + ' accuracy summary', summary.toDictionary(['overall_accuracy', 'macro_f1', 'weighted_f1']));
+  show(ui.Chart.feature.byFeature({
+    features: perClass,
+    xProperty: 'name',
+    yProperties: ['support', 'precision', 'recall', 'f1', 'omission', 'commission']
+  }).setChartType('Table').setOptions({title: title + ': per-class accuracy'}));
+  showConfusionHeatMap(summary, title);
 
+  if (shouldExport(config, 'reports')) {
+    exportAccuracyReport({confusion: confusion, classes: perClass, summary: summary}, config, title);
+  }
 
+  return {matrix: matrix, confusion: confusion, classes: perClass, summary: summary};
+}
 
+// Confusion matrix as a table whose cells are shaded by the share of the
+// reference class (row) they hold
+function showConfusionHeatMap(summary, title) {
+  summary.toDictionary(['names', 'matrix']).evaluate(function(report) {
+    var header = [{label: 'Reference / Predicted', type: 'string'}].concat(
+      report.names.map(function(name) {return {label: name, type: 'number'};}));
+    var rows = report.matrix.map(function(row, i) {
+      var total = row.reduce(function(sum, value) {return sum + value;}, 0) || 1;
+      return [report.names[i]].concat(row.map(function(value) {
+        var share = value / total;
+        return {v: value, p: {style: 'background-color: rgba(26, 150, 65, ' + share.toFixed(2) + ')'}};
+      }));
+    });
+    show(ui.Chart([header].concat(rows), 'Table', {
+      title: title + ': confusion matrix',
+      allowHtml: true
+    }));
+  });
+}
 
-/***************************** STRATIFIED SAMPLING *************************/
+// Export the tables of an accuracy report as CSV and its summary as JSON
+function exportAccuracyReport(report, config, title) {
+  var name = 'accuracy_' + title.toLowerCase().replace(/\W+/g, '_') + '_';
+  exportTable(report.confusion, name + 'confusion_' + config.year, config, 'CSV');
+  exportTable(report.classes, name + 'per_class_' + config.year, config, 'CSV');
+  exportTable(ee.FeatureCollection([report.summary]), name + 'summary_' + config.year, config, 'GeoJSON');
+}
 
+// Print the metrics of a confusion matrix
+function printAccuracy(testConfusionMatrix, title) {
+  // Print overall accuraccy
+  show(title + ' overall accuracy', testConfusionMatrix.accuracy());
 
-// Image with reference dataset
-var classificationImage = lulc_2017_clip
+  // Print consumer's accuracy
+  show(title + ' consumers accuracy', testConfusionMatrix.consumersAccuracy());
 
-// Scale (in meters)
-var scale = 30;
+  // Print producer's accuracy
+  show(title + ' producers accuracy', testConfusionMatrix.producersAccuracy());
+}
 
-var region = geometry;
+// Report the accuracy at the coarser levels of the legend hierarchy: the
+// reference and the predicted classes are both collapsed into each level
+function assessAccuracyByLevel(classified, validation, labelBand, config, title) {
+  var test = sampleValidation(classified, validation, labelBand);
+  var matrices = {};
+  config.legend.assessLevels.forEach(function(level) {
+    var remap = getLevelRemap(config.legend.mode, level);
+    var remapped = test
+      .remap(remap.from, remap.to, labelBand)
+      .remap(remap.from, remap.to, 'classification');
+    matrices[level] = remapped.errorMatrix(labelBand, 'classification');
+    printAccuracy(matrices[level], title + ' (' + level + ')');
+  });
+  return matrices;
+}
 
-// Calculate the area of each class
-var classAreas = classificationImage
-  .reduceRegion({
-    reducer: ee.Reducer.frequencyHistogram(),
-    geometry: region,
-    scale: scale,
-    maxPixels: 1e13
-  }).get('classification_2017');
 
-print('Pixel frequency per class)', classAreas);
+//**************************************************************************
+// Area-weighted accuracy and area estimation (Olofsson et al., 2014)
+//**************************************************************************
 
-// Transform the object into a dictionary
-classAreas = ee.Dictionary(classAreas);
+// z score of the 95% confidence intervals
+var Z_95 = 1.96;
 
-// Get unique class values and it's areas
-var classValues = classAreas.keys().map(ee.Number.parse);
-var areas = classAreas.values();
+// Mapped area (km²) of each class of a classified image, as a dictionary
+// keyed by the class value
+function getMappedAreas(classified, config) {
+  var list = sumAreasByClass(classified, 'class', config);
+  return ee.Dictionary.fromLists(
+    list.map(function(item) {return ee.Number(ee.Dictionary(item).get('class')).format('%d');}),
+    list.map(function(item) {return ee.Dictionary(item).get('sum');}));
+}
 
-// Calculate total area per class
-var totalArea = areas.reduce(ee.Reducer.sum());
+// Weight of each reference class in the validation samples: pixels of the
+// class over its validation samples, i.e. 1 / inclusion probability up to a
+// constant. The samples carry the pixel count, so the sum over the n samples
+// of a class divided by n² is pixels / n (0 for a class without samples)
+function getInclusionWeights(test, labelBand, order) {
+  return ee.Array(order.map(function(classValue) {
+    var inClass = test.filter(ee.Filter.eq(labelBand, classValue));
+    var size = inClass.size().max(1);
+    return ee.Number(inClass.aggregate_sum(STRATUM_PIXELS)).divide(size).divide(size);
+  })).reshape([1, order.size()]);
+}
 
+// Stratified estimators with the map classes as strata. Returns the
+// area-weighted overall accuracy, per-class user's / producer's accuracy,
+// error-adjusted areas with 95% confidence intervals and the sample size
+// per stratum needed for the target standard error of the overall accuracy.
+// The validation samples are stratified by reference class, not map class,
+// so each sample is weighted by 1 / its inclusion probability within the map
+// strata. Map classes without samples cannot be estimated: they are left out
+// of the estimates, which then cover the sampled map area only
+function estimateAreaAccuracy(classified, validation, labelBand, config) {
+  var settings = config.accuracy;
+  var test = sampleValidation(classified, validation, labelBand);
+  var mappedAreas = getMappedAreas(classified, config);
+
+  // Strata: every mapped class plus any reference class of the samples
+  var order = mappedAreas.keys().map(function(key) {return ee.Number.parse(key);})
+    .cat(test.aggregate_array(labelBand))
+    .distinct()
+    .sort();
+  var k = order.size();
+
+  // Rows are map classes (strata), columns reference classes
+  var counts = test.errorMatrix(labelBand, 'classification', order).array().matrixTranspose();
+  var weightedCounts = counts.multiply(getInclusionWeights(test, labelBand, order).repeat(0, k));
+  var areas = ee.Array(order.map(function(classValue) {
+    return mappedAreas.get(ee.Number(classValue).format('%d'), 0);
+  })).reshape([k, 1]);
+  var totalArea = areas.reduce(ee.Reducer.sum(), [0]).get([0, 0]);
+  var weights = areas.divide(totalArea);
+
+  var strataSize = counts.reduce(ee.Reducer.sum(), [1]);
+  var sampled = strataSize.gt(0);
+  var sampledArea = areas.multiply(sampled).reduce(ee.Reducer.sum(), [0]).get([0, 0]);
+  // Weights of the sampled strata only, summing to 1
+  var sampledWeights = areas.multiply(sampled).divide(ee.Number(sampledArea).max(1e-12));
+  var degrees = strataSize.subtract(1).max(1);
+  // Weighted n_ij / n_i and the estimated area proportions p_ij = W_i n_ij / n_i
+  var weightedSize = weightedCounts.reduce(ee.Reducer.sum(), [1]);
+  var rowShares = weightedCounts.divide(weightedSize.max(1e-12).repeat(1, k));
+  var proportions = rowShares.multiply(sampledWeights.repeat(1, k));
+  var referenceProportions = proportions.reduce(ee.Reducer.sum(), [0]).matrixTranspose();
+
+  var userAccuracy = rowShares.matrixDiagonal();
+  var producerAccuracy = proportions.matrixDiagonal().divide(referenceProportions.max(1e-12));
+  var overallAccuracy = proportions.matrixDiagonal().reduce(ee.Reducer.sum(), [0]).get([0, 0]);
+
+  var userVariance = userAccuracy.multiply(userAccuracy.multiply(-1).add(1)).divide(degrees);
+  var overallSE = sampledWeights.pow(2).multiply(userVariance)
+    .reduce(ee.Reducer.sum(), [0]).get([0, 0]).sqrt();
+  // Standard error of the reference class proportions p_.j
+  var proportionSE = sampledWeights.pow(2).repeat(1, k)
+    .multiply(rowShares).multiply(rowShares.multiply(-1).add(1))
+    .divide(degrees.repeat(1, k))
+    .reduce(ee.Reducer.sum(), [0]).sqrt().matrixTranspose();
+
+  // Sample size for the target standard error of the overall accuracy,
+  // from the current user's accuracies, allocated proportionally to the
+  // strata with a floor for the rare classes
+  var strataSD = userAccuracy.multiply(userAccuracy.multiply(-1).add(1)).sqrt();
+  var totalSamples = weights.multiply(strataSD).reduce(ee.Reducer.sum(), [0]).get([0, 0])
+    .divide(settings.targetStandardError).pow(2).ceil();
+  var recommended = weights.multiply(totalSamples).ceil().max(settings.minPerStratum);
+
+  var classes = getLegendClasses(config);
+  var rows = ee.List.sequence(0, k.subtract(1)).map(function(i) {
+    var at = function(array) {return ee.Array(array).get([ee.Number(i), 0]);};
+    var classValue = order.get(i);
+    // Unestimated strata get no user's accuracy instead of 0
+    var users = ee.Algorithms.If(at(sampled), at(userAccuracy), null);
+    var usersCI = ee.Algorithms.If(at(sampled), at(userVariance.sqrt()).multiply(Z_95), null);
+    return ee.Feature(null, {
+      'class': classValue,
+      'name': getClassProperty(classValue, 'name', classes),
+      'mapped_km2': at(areas),
+      'weight': at(weights),
+      'samples': at(strataSize),
+      'estimated': at(sampled),
+      'users': users,
+      'users_ci': usersCI,
+      'producers': at(producerAccuracy),
+      'adjusted_km2': at(referenceProportions).multiply(sampledArea),
+      'adjusted_ci_km2': at(proportionSE).multiply(sampledArea).multiply(Z_95),
+      'recommended_samples': at(recommended)
+    });
+  });
 
-// Get a proportion for each class
-var numTotalPoints = 2000; 
-var minPoints = 7;        
-var maxPoints = 1000;       
+  return {
+    overallAccuracy: overallAccuracy,
+    overallAccuracyCI: overallSE.multiply(Z_95),
+    estimatedShare: ee.Number(sampledArea).divide(totalArea),
+    recommendedSamples: recommended.reduce(ee.Reducer.sum(), [0]).get([0, 0]),
+    classes: ee.FeatureCollection(rows)
+  };
+}
 
-var classPoints = areas.map(function(area) {
-  var proportion = ee.Number(area).divide(totalArea); 
-  var points = proportion.multiply(numTotalPoints).round(); 
-  return points.clamp(minPoints, maxPoints); 
-});
+// Print the area-weighted accuracy and the error-adjusted areas, and export
+// them with the reports. With areas.batch they are only exported, as they
+// need the mapped areas of the whole AOI
+function assessAreaAccuracy(classified, validation, labelBand, config, title) {
+  var estimate = estimateAreaAccuracy(classified, validation, labelBand, config);
+
+  if (shouldExport(config, 'reports')) {
+    var name = 'area_accuracy_' + title.toLowerCase().replace(/\W+/g, '_') + '_';
+    exportTable(estimate.classes, name + 'per_class_' + config.year, config, 'CSV');
+    exportTable(ee.FeatureCollection([ee.Feature(null, {
+      overall_accuracy: estimate.overallAccuracy,
+      overall_accuracy_ci: estimate.overallAccuracyCI,
+      estimated_share: estimate.estimatedShare,
+      recommended_samples: estimate.recommendedSamples
+    })]), name + 'summary_' + config.year, config, 'CSV');
+  }
+  if (config.areas.batch) {
+    return estimate;
+  }
+
+  show(title + ' area-weighted overall accuracy',
+    ee.Number(estimate.overallAccuracy).format('%.3f')
+      .cat(' ± ').cat(ee.Number(estimate.overallAccuracyCI).format('%.3f'))
+      .cat(' (').cat(ee.Number(estimate.estimatedShare).multiply(100).format('%.1f'))
+      .cat('% of the mapped area)'));
+  show(title + ' map classes without validation samples (not estimated)',
+    estimate.classes.filter(ee.Filter.eq('estimated', 0)).aggregate_array('name'));
+  show(ui.Chart.feature.byFeature({
+    features: estimate.classes,
+    xProperty: 'name',
+    yProperties: ['users', 'users_ci', 'producers', 'mapped_km2', 'adjusted_km2', 'adjusted_ci_km2']
+  }).setChartType('Table').setOptions({
+    title: title + ': area-weighted accuracy and error-adjusted areas (km², 95% CI)'
+  }));
+  show(title + ' recommended validation samples (SE ' + config.accuracy.targetStandardError + ')',
+    estimate.recommendedSamples, estimate.classes.select(['class', 'name', 'samples', 'recommended_samples']));
+
+  return estimate;
+}
 
+// Check the accuracy config, pushing messages into errors
+function validateAccuracy(settings, errors) {
+  if (!(typeof settings.targetStandardError === 'number' && settings.targetStandardError > 0 &&
+      settings.targetStandardError < 1)) {
+    errors.push('accuracy.targetStandardError must be a number between 0 and 1 (exclusive).');
+  }
+  if (!isPositiveInteger(settings.minPerStratum)) {
+    errors.push('accuracy.minPerStratum must be a positive integer.');
+  }
+}
 
-print('Reference dataset classes', classValues);
-print('Number of samples per class', classPoints);
 
-// Create stratified samples
-var stratifiedSamples = classificationImage.stratifiedSample({
-  numPoints: 0, 
-  classBand: 'classification_2017',
-  region: region,
-  scale: scale,
-  seed: 42,
-  classValues: classValues,
-  classPoints: classPoints,
-  geometries: true 
-});
+/******************* ANALYZE AND VISUALIZE CLASS AREAS ****************************/
+
+// Scale (meters) of the area statistics: the classification grid in batch
+// tasks, areas.scale in the Console
+function getAreaScale(config) {
+  return config.areas.batch ? CLASSIFICATION_GRID.scale : config.areas.scale || CLASSIFICATION_GRID.scale;
+}
+
+// Area (km²) of each value of a single-band image over the AOI, as a list
+// of {<groupName>, sum} dictionaries. No bestEffort: the areas are exact at
+// the area scale, or the request fails (use areas.batch then)
+function sumAreasByClass(image, groupName, config) {
+  var areaClass = ee.Image.pixelArea().divide(1e6).addBands(image).reduceRegion({
+    reducer: ee.Reducer.sum().group({
+      groupField: 1,
+      groupName: groupName
+    }),
+    geometry: config.aoi,
+    crs: CLASSIFICATION_GRID.crs,
+    scale: getAreaScale(config),
+    maxPixels: 1e13,
+    tileScale: 16
+  });
+  return ee.List(areaClass.get('groups'));
+}
 
-print('Stratified samples', stratifiedSamples);
-Map.addLayer(stratifiedSamples, {}, 'Samples',false);
+function analyzeClassAreas(classified, year, config) {
+  // Zonal table first, it does not depend on the charts below
+  if (config.areas.zones) {
+    summarizeZonalAreas(classified, year, config);
+  }
+
+  // Group by class to sum area for each class
+  var classAreas = sumAreasByClass(classified, 'classification', config);
+
+  // Add name and color for each class
+  var classes = getLegendClasses(config);
+  var areaListWithInfo = classAreas.map(function(item) {
+    item = ee.Dictionary(item);
+    var classValue = ee.Number(item.get('classification'));
+    var areaHa = item.get('sum');
+
+    return ee.Feature(null, {
+      'classification': classValue,
+      'sum': areaHa,
+      'name': getClassProperty(classValue, 'name', classes),
+      'color': getClassProperty(classValue, 'color', classes)
+    });
+  });
 
+  // Transform it into a feature collection
+  var areaFeatureCollection = ee.FeatureCollection(areaListWithInfo);
+  if (config.areas.batch) {
+    exportTable(areaFeatureCollection, 'areas_' + year, config, 'CSV');
+    return areaFeatureCollection;
+  }
+  show('Classified area in km² - ' + year, classAreas);
+  show('Lista de áreas por classe com informações:', areaFeatureCollection);
+
+  // Create a pizza chart
+  var pieChart = ui.Chart.feature.byFeature({
+    features: areaFeatureCollection,
+    xProperty: 'name',
+    yProperties: ['sum']
+  }).setChartType('PieChart')
+  .setOptions({
+    title: getLabel(config, 'areaShare', year),
+    pieHole:0.3
+  });
 
-var samples = stratifiedSamples;
+  // Show the chart in the console
+  show(pieChart);
 
+  // Color the slices once the classes are known, without blocking the app
+  areaFeatureCollection.aggregate_array('classification').evaluate(function(codes) {
+    if (codes) {
+      pieChart.setOptions({
+        title: getLabel(config, 'areaShare', year),
+        slices: getChartSlices(codes, config),
+        pieHole: 0.3
+      });
+    }
+  });
 
+  // Create a table based on the feature collection
+  var chartTable = ui.Chart.feature.byFeature({
+    features: areaFeatureCollection,
+    xProperty: 'name',
+    yProperties: ['sum']
+  }).setChartType('Table')
+  .setOptions({
+    title: getLabel(config, 'classifiedAreas', year),
+    columns: [
+      { label: getLabel(config, 'className'), type: 'string' },
+      { label: getLabel(config, 'area'), type: 'number' }
+    ]
+  });
 
-// Create a column with random numbers to split the dataset
-var gcp = samples.randomColumn();
-var split = 0.7;
+  // Show the table in the console
+  show(chartTable, getLabel(config, 'classifiedAreas', year));
+  return areaFeatureCollection;
+}
 
+// Tidy table of area per class per zone: one feature per zone and class with
+// the zone name, class code and name, and the area in km² and hectares
+function computeZonalAreas(classified, config) {
+  var settings = config.areas;
+  var zones = ee.FeatureCollection(settings.zones).filterBounds(config.aoi);
+  var classes = getLegendClasses(config);
+
+  var stats = ee.Image.pixelArea().divide(1e6)
+    .addBands(classified.rename('class'))
+    .reduceRegions({
+      collection: zones,
+      reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'class'}),
+      crs: CLASSIFICATION_GRID.crs,
+      scale: getAreaScale(config),
+      tileScale: 16
+    });
+
+  return stats.map(function(zone) {
+    var name = zone.get(settings.zoneProperty);
+    return ee.FeatureCollection(ee.List(zone.get('groups')).map(function(item) {
+      item = ee.Dictionary(item);
+      var classValue = ee.Number(item.get('class'));
+      var areaKm2 = ee.Number(item.get('sum'));
+      return ee.Feature(null, {
+        'zone': name,
+        'class': classValue,
+        'name': getClassProperty(classValue, 'name', classes),
+        'area_km2': areaKm2,
+        'area_ha': areaKm2.multiply(100)
+      });
+    }));
+  }).flatten();
+}
 
-// Split with Stratified Random Sampling
-// Split features into training / validation sets, per class
-var classes = ee.List(gcp.aggregate_array('classification_2017').distinct());
-
-var getSplitSamples = function(classNumber) {
-  var classSamples = gcp
-    .filter(ee.Filter.eq('classification_2017', classNumber))
-    .randomColumn('random');
-
-  // Split the samples, 60% for training, 40% for validation
-  var classTrainingGcp = classSamples
-    .filter(ee.Filter.lt('random', split))
-    // Set a property to identify the fraction
-    .map(function(f) {return f.set('fraction', 'training')});
-    
-  var classValidationGcp = classSamples
-    .filter(ee.Filter.gte('random', split))
-    .map(function(f) {return f.set('fraction', 'validation')});
-  return classTrainingGcp.merge(classValidationGcp);
-};
+// Show or export the zonal area table of a classified year
+function summarizeZonalAreas(classified, year, config) {
+  var zonal = computeZonalAreas(classified, config);
+  if (shouldExport(config, 'reports')) {
+    exportTable(zonal, 'zonal_areas_' + year, config, 'CSV');
+  }
+  if (!config.areas.batch) {
+    show(ui.Chart.feature.byFeature({
+      features: zonal,
+      xProperty: 'zone',
+      yProperties: ['class', 'name', 'area_km2', 'area_ha']
+    }).setChartType('Table').setOptions({title: 'Zonal areas - ' + year}));
+  }
+  return zonal;
+}
 
-// map() the function on the list of classes
-var splitSamples = ee.FeatureCollection(classes.map(getSplitSamples))
-  .flatten();
+// Check the area settings, pushing messages into errors. The batch tables
+// are report exports, so they need the reports of the exports config
+function validateAreas(settings, exportSettings, errors) {
+  if (settings.scale !== null && !isPositiveInteger(settings.scale)) {
+    errors.push('areas.scale must be null or a positive integer (meters).');
+  }
+  if (typeof settings.batch !== 'boolean') {
+    errors.push('areas.batch must be true or false.');
+  }
+  if (settings.batch === true && !(exportSettings.enabled && (exportSettings.include || {}).reports)) {
+    errors.push('areas.batch exports the area tables, so it needs exports.enabled and exports.include.reports.');
+  }
+  if (settings.zones && typeof settings.zoneProperty !== 'string') {
+    errors.push('areas.zoneProperty must name the zone property of areas.zones.');
+  }
+}
 
-// Filter using the 'fraction' property
-var trainingGcpStratified = splitSamples.filter(
-  ee.Filter.eq('fraction', 'training'));
-var validationGcpStratified = splitSamples.filter(
-  ee.Filter.eq('fraction', 'validation'));
 
-// Validate the results
+/******************* EXPORTS ****************************/
 
-// Function to calculate distribution of samples
-var getDistribution = function(fc) {
-  return fc.reduceColumns({
-    reducer: ee.Reducer.frequencyHistogram(),
-    selectors: ['classification_2017']}).get('histogram');
-};
+var EXPORT_TARGETS = ['drive', 'cloudStorage', 'asset'];
+var EXPORT_KINDS = ['map', 'probabilities', 'samples', 'reports', 'tuning', 'models'];
 
-print('Distribution of All Samples by Class', getDistribution(gcp));
+// Value of the pixels without a class in the exported maps
+var NODATA = 255;
 
-print('Training (Stratified Split)',
-  getDistribution(trainingGcpStratified));
+// Start of the run, part of the default run ID
+var RUN_STARTED = new Date();
 
-print('Validation (Stratified Split)',
-  getDistribution(validationGcpStratified));
-  
+// ID shared by all the tasks of a run: exports.runId, or the prefix and the
+// start time (e.g. classified_20240131T0945)
+function getRunId(config) {
+  var settings = config.exports;
+  if (settings.runId) {
+    return settings.runId;
+  }
+  var stamp = RUN_STARTED.toISOString().replace(/[-:]/g, '').slice(0, 13);
+  return settings.prefix + '_' + stamp;
+}
 
+// Task, file and asset name of an export: <runId>_<name>
+function getExportName(config, name) {
+  return (getRunId(config) + '_' + name).replace(/[^A-Za-z0-9_-]/g, '_');
+}
 
+// Whether this kind of output is exported
+function shouldExport(config, kind) {
+  return config.exports.enabled && config.exports.include[kind];
+}
 
-/******************* TREINAMENTO E CLASSIFICAÇÃO ****************************/
+// Queue an image export to the configured target. Files are Cloud
+// Optimized GeoTIFFs; options: noData (files), pyramiding (assets)
+function exportImage(image, name, config, options) {
+  var settings = config.exports;
+  var exportName = getExportName(config, name);
+  var params = {
+    image: image,
+    description: exportName,
+    region: config.aoi,
+    crs: CLASSIFICATION_GRID.crs,
+    scale: settings.scale,
+    maxPixels: settings.maxPixels
+  };
+
+  if (settings.target === 'asset') {
+    params.assetId = settings.assetFolder + '/' + exportName;
+    params.pyramidingPolicy = {'.default': options.pyramiding || 'mean'};
+    Export.image.toAsset(params);
+    return;
+  }
+
+  params.fileFormat = 'GeoTIFF';
+  params.formatOptions = {cloudOptimized: true};
+  if (options.noData !== undefined) {
+    params.formatOptions.noData = options.noData;
+  }
+  if (settings.target === 'drive') {
+    params.folder = settings.folder;
+    params.fileNamePrefix = exportName;
+    Export.image.toDrive(params);
+  } else {
+    params.bucket = settings.bucket;
+    params.fileNamePrefix = settings.folder + '/' + exportName;
+    Export.image.toCloudStorage(params);
+  }
+}
 
-// Combine the mosaic with the reference dataset to 
-// stack target and predictors variables into a single image
-var dataset = mosaic2017_clip.addBands(lulc_2017_clip)
+// Queue a table export to the configured target (fileFormat is ignored for assets)
+function exportTable(collection, name, config, fileFormat) {
+  var settings = config.exports;
+  var exportName = getExportName(config, name);
+
+  if (settings.target === 'asset') {
+    Export.table.toAsset({
+      collection: collection,
+      description: exportName,
+      assetId: settings.assetFolder + '/' + exportName
+    });
+  } else if (settings.target === 'drive') {
+    Export.table.toDrive({
+      collection: collection,
+      description: exportName,
+      folder: settings.folder,
+      fileNamePrefix: exportName,
+      fileFormat: fileFormat
+    });
+  } else {
+    Export.table.toCloudStorage({
+      collection: collection,
+      description: exportName,
+      bucket: settings.bucket,
+      fileNamePrefix: settings.folder + '/' + exportName,
+      fileFormat: fileFormat
+    });
+  }
+}
 
+// Classified map as uint8 with the class codes; pixels without a class are
+// NODATA in files and masked in assets
+function exportClassifiedMap(classified, name, config) {
+  var map = classified.clip(config.aoi);
+  if (config.exports.target !== 'asset') {
+    map = map.unmask(NODATA, false);
+  }
+  exportImage(map.toUint8(), name, config, {noData: NODATA, pyramiding: 'mode'});
+}
 
-// Extract the variables values using the training set
+// Probability and confidence bands as percentages in uint8
+function exportProbabilities(probabilities, name, config) {
+  var stack = probabilities.multiply(100).round().clip(config.aoi);
+  if (config.exports.target !== 'asset') {
+    stack = stack.unmask(NODATA, false);
+  }
+  exportImage(stack.toUint8(), name, config, {noData: NODATA, pyramiding: 'mean'});
+}
 
-var training = dataset.sampleRegions({
-  collection: trainingGcpStratified, 
-  properties: ['classification_2017'], 
-  scale: 30, 
-  tileScale: 16 
-});
+// Save a trained model as classifier assets (one per ensemble member) plus
+// a metadata table holding what is needed to reapply it: the backend, the
+// predictors in order and the training mean / standard deviation of every
+// predictor. Only tree models can be saved, so there is no input scaling
+function exportModel(model, training, labelBand, config, name) {
+  var settings = config.exports;
+  var predictors = getPredictors(config, labelBand);
+  var members = model.members || [model];
+  var exportName = getExportName(config, name);
+
+  var classifierIds = members.map(function(member, i) {
+    var id = settings.assetFolder + '/' + exportName + (model.members ? '_member_' + i : '');
+    Export.classifier.toAsset({
+      classifier: member.classifier,
+      description: getExportName(config, name + (model.members ? '_member_' + i : '')),
+      assetId: id
+    });
+    return id;
+  });
 
-// Print the first 100 samples in the console
-print('Check the samples', training.limit(100));
-
-
-// Train the classifier
-var classifier = ee.Classifier.smileRandomForest({
-                              numberOfTrees: 1000,
-                              //variablesPerSplit: 10,
-                              //bagFraction: 0.7,
-                              //minLeafPopulation: 2,
-                              seed: 123, 
-}).train({
-  features: training,
-  classProperty: 'classification_2017',
-      inputProperties: ['SR_B2_median', 'SR_B3_median', 'SR_B4_median', 'SR_B5_median', 'SR_B6_median', 'SR_B7_median',
-      'NDVI_median', 'EVI_median', 'NDWI_median', 'NDWI_VEG_median', 'MNDWI_median', 'NBR_median', 
-      'GCVI_median', 'HALLCOVER_median', 'PRI_median', 'BSI_median',
-      'EVI_stdDev', 'NDVI_stdDev','GCVI_stdDev','PRI_stdDev', 'BSI_stdDev','HALLCOVER_stdDev',
-      'NDVI_min', 'NDVI_max','GCVI_min', 'GCVI_max','PRI_min','PRI_max','EVI_min','EVI_max']
-});
+  var n = predictors.length;
+  var stats = training.reduceColumns(ee.Reducer.mean().repeat(n)
+    .combine({reducer2: ee.Reducer.stdDev().repeat(n), sharedInputs: true}), predictors);
+  var prefixed = function(prefix) {
+    return predictors.map(function(band) {return prefix + band;});
+  };
+
+  var properties = ee.Dictionary({
+    backend: model.backend,
+    ensembleMethod: model.members ? config.backends.ensemble.method : '',
+    members: members.map(function(member) {return member.backend;}).join(','),
+    classes: model.order ? model.order.map(function(classValue) {
+      return ee.Number(classValue).format('%d');
+    }).join(',') : '',
+    classifiers: classifierIds.join(','),
+    predictors: predictors.join(','),
+    labelBand: labelBand,
+    legend: config.legend.mode,
+    year: config.year,
+    runId: getRunId(config)
+  })
+    .combine(ee.Dictionary.fromLists(prefixed('mean_'), stats.get('mean')))
+    .combine(ee.Dictionary.fromLists(prefixed('stdDev_'), stats.get('stdDev')));
 
+  Export.table.toAsset({
+    collection: ee.FeatureCollection([ee.Feature(null, properties)]),
+    description: exportName + '_metadata',
+    assetId: settings.assetFolder + '/' + exportName + '_metadata'
+  });
+}
 
-// Classify the image for the specific year
-var classified_2017 = mosaic2017_clip.classify(classifier);
-Map.addLayer(classified_2017,vis, 'LULC Classification (2017)')
+// Queue the exports of a single-year run
+function exportRun(results, result, config) {
+  var year = result.year;
+  var sets = results.samples;
+
+  if (shouldExport(config, 'map')) {
+    // The map at the end of the workflow, and the raw classification
+    var finalMap = results.postProcessed ||
+      (results.tuning ? results.tuning.classification : results.classified);
+    exportClassifiedMap(finalMap, 'map_' + year, config);
+    if (finalMap !== results.classified) {
+      exportClassifiedMap(results.classified, 'map_raw_' + year, config);
+    }
+  }
 
+  if (shouldExport(config, 'samples')) {
+    exportTable(sets.training.merge(sets.validation), 'samples_' + year, config, 'GeoJSON');
+  }
 
+  if (shouldExport(config, 'tuning') && results.tuning) {
+    exportTable(results.tuning.results, 'tuning_trials_' + year, config, 'CSV');
+  }
 
+  if (shouldExport(config, 'models')) {
+    exportModel(result.model, result.training, result.labelBand, config, 'model_' + year);
+    if (results.tuning) {
+      exportModel({backend: 'randomForest', classifier: results.tuning.classifier},
+        result.training, result.labelBand, config, 'model_tuned_' + year);
+    }
+  }
+}
 
-//************************************************************************** 
-// Feature Importance
-//************************************************************************** 
+// Check the exports config, pushing messages into errors
+function validateExports(settings, backends, errors) {
+  if (!settings.enabled) {
+    return;
+  }
+  if (EXPORT_TARGETS.indexOf(settings.target) === -1) {
+    errors.push('exports.target must be one of ' + EXPORT_TARGETS.join(', ') + '.');
+  }
+  if (typeof settings.folder !== 'string' || typeof settings.prefix !== 'string') {
+    errors.push('exports.folder and exports.prefix must be strings.');
+  }
+  if (settings.target === 'cloudStorage' && typeof settings.bucket !== 'string') {
+    errors.push('exports.bucket must be set to export to Cloud Storage.');
+  }
+  var include = settings.include || {};
+  if ((settings.target === 'asset' || include.models) && typeof settings.assetFolder !== 'string') {
+    errors.push('exports.assetFolder must be set to export assets and models.');
+  }
+  if (settings.runId !== null && !(typeof settings.runId === 'string' && /^[A-Za-z0-9_-]+$/.test(settings.runId))) {
+    errors.push('exports.runId must be null or a string of letters, digits, _ and -.');
+  }
+  var unsavable = (backends || []).filter(function(backend) {
+    return TREE_BACKENDS.indexOf(backend) === -1;
+  });
+  if (include.models && unsavable.length) {
+    errors.push('exports.include.models only saves ' + TREE_BACKENDS.join(', ') + ' models, not ' +
+      unsavable.join(', ') + '.');
+  }
+  if (!EXPORT_KINDS.every(function(kind) {return typeof include[kind] === 'boolean';})) {
+    errors.push('exports.include must set ' + EXPORT_KINDS.join(', ') + ' to true or false.');
+  }
+  if (!isPositiveInteger(settings.scale)) {
+    errors.push('exports.scale must be a positive integer (meters).');
+  }
+}
 
-// Run .explain() to see what the classifer looks like
-print(classifier.explain())
 
-// Calculate variable importance
-var importance = ee.Dictionary(classifier.explain().get('importance'))
+/******************* MULTI-YEAR CLASSIFICATION ****************************/
 
-// Calculate relative importance
-var sum = importance.values().reduce(ee.Reducer.sum())
+// Name of the classified band of a year (e.g. 'classification_2017')
+function getClassificationBand(year) {
+  return 'classification_' + year;
+}
 
-var relativeImportance = importance.map(function(key, val) {
-  return (ee.Number(val).multiply(100)).divide(sum)
-  })
-print(relativeImportance)
-
-// Create a FeatureCollection so we can chart it
-var importanceFc = ee.FeatureCollection([
-  ee.Feature(null, relativeImportance)
-])
-
-var chart = ui.Chart.feature.byProperty({
-  features: importanceFc
-}).setOptions({
-      title: 'Feature Importance',
-      vAxis: {title: 'Importance'},
-      hAxis: {title: 'Feature'}
-  })
-print(chart)
+// Years classified by a run
+function getRunYears(config) {
+  if (!config.multiYear || !config.multiYear.enabled) {
+    return [config.year];
+  }
+  var years = [];
+  for (var year = config.multiYear.startYear; year <= config.multiYear.endYear; year++) {
+    years.push(year);
+  }
+  return years;
+}
 
+// Check the temporalFilter config, pushing messages into errors. The
+// frequency classes are only checked against a valid legend (legendClasses)
+function validateTemporalFilter(settings, legendClasses, errors) {
+  if (!settings || typeof settings !== 'object') {
+    errors.push('multiYear.temporalFilter is required.');
+    return;
+  }
+  if (typeof settings.gapFill !== 'boolean') {
+    errors.push('multiYear.temporalFilter.gapFill must be true or false.');
+  }
+  if (!(settings.windows instanceof Array) || !settings.windows.every(function(size) {
+    return isPositiveInteger(size) && size >= 3;
+  })) {
+    errors.push('multiYear.temporalFilter.windows must be a list of integers >= 3.');
+  }
+  var frequency = settings.frequency;
+  if (frequency !== null && (!frequency || !(frequency.classes instanceof Array) || !frequency.classes.length ||
+      typeof frequency.threshold !== 'number' || frequency.threshold <= 0 || frequency.threshold > 1)) {
+    errors.push('multiYear.temporalFilter.frequency must be null or {classes: [...], threshold} with threshold in (0, 1].');
+  } else if (frequency && legendClasses && !frequency.classes.every(function(code) {
+    return legendClasses.hasOwnProperty(code);
+  })) {
+    errors.push('multiYear.temporalFilter.frequency.classes must list classes of the active legend.');
+  }
+}
 
+// Fill masked pixels of each year with the previous valid year and, for the
+// first years, with the next valid year
+function gapFill(bands) {
+  var filled = bands.slice();
+  for (var i = 1; i < filled.length; i++) {
+    filled[i] = filled[i].unmask(filled[i - 1]);
+  }
+  for (var j = filled.length - 2; j >= 0; j--) {
+    filled[j] = filled[j].unmask(filled[j + 1]);
+  }
+  return filled;
+}
 
+// Replace the middle years of a moving window when the class at both ends is
+// the same and every middle year differs from it (e.g. 3-3-15-3 -> 3-3-3-3)
+function applyTemporalWindow(bands, size) {
+  var filtered = bands.slice();
+  for (var start = 0; start + size <= filtered.length; start++) {
+    var first = filtered[start];
+    var last = filtered[start + size - 1];
+    var condition = first.eq(last);
+    for (var k = start + 1; k < start + size - 1; k++) {
+      condition = condition.and(filtered[k].neq(first));
+    }
+    for (var m = start + 1; m < start + size - 1; m++) {
+      filtered[m] = filtered[m].where(condition, first);
+    }
+  }
+  return filtered;
+}
 
+// Stabilize pixels that belong to the given classes in most of the years:
+// every year in one of those classes gets the most frequent of them
+function applyFrequencyFilter(bands, settings) {
+  var inClasses = bands.map(function(band) {
+    return band.remap(settings.classes, settings.classes.map(function() { return 1; }), 0);
+  });
+  var share = ee.Image(inClasses).reduce(ee.Reducer.sum()).divide(bands.length);
 
-//************************************************************************** 
-// Hyperparameter Tuning
-//************************************************************************** 
+  // Count the years of each class and keep the most frequent one
+  var counts = settings.classes.map(function(classValue) {
+    return ee.Image(bands.map(function(band) {
+      return band.eq(classValue);
+    })).reduce(ee.Reducer.sum());
+  });
+  var mostFrequent = ee.Image(counts).toArray().arrayArgmax().arrayGet([0]);
+  var mode = mostFrequent.remap(settings.classes.map(function(classValue, index) {
+    return index;
+  }), settings.classes);
+
+  var stable = share.gte(settings.threshold);
+  return bands.map(function(band, index) {
+    return band.where(stable.and(inClasses[index].eq(1)), mode);
+  });
+}
 
-var test = dataset.sampleRegions({
-  collection: validationGcpStratified,
-  properties: ['classification_2017'],
-  scale: 30,
-  tileScale: 16
-});
+// Apply the gap-fill, moving window and frequency rules to a multi-band
+// image with one classification_YYYY band per year
+function applyTemporalFilter(stack, years, settings) {
+  var bands = years.map(function(year) {
+    return stack.select(getClassificationBand(year));
+  });
 
+  if (settings.gapFill) {
+    bands = gapFill(bands);
+  }
+  settings.windows.forEach(function(size) {
+    bands = applyTemporalWindow(bands, size);
+  });
+  if (settings.frequency) {
+    bands = applyFrequencyFilter(bands, settings.frequency);
+  }
 
-// Tune the numberOfTrees parameter.
-var numTreesList = ee.List.sequence(10, 150, 10);
+  return ee.Image(bands.map(function(band, index) {
+    return band.rename(getClassificationBand(years[index]));
+  }));
+}
 
-var accuracies = numTreesList.map(function(numTrees) {
-  var classifier = ee.Classifier.smileRandomForest(numTrees)
-      .train({
-        features: training,
-        classProperty: 'classification_2017',
-        inputProperties: dataset.bandNames()
-      });
+// Train and classify every year of config.multiYear and filter the result
+function runMultiYear(config) {
+  // Fail fast, before any Earth Engine work starts
+  validateConfig(config);
 
-  // Here we are classifying a table instead of an image
-  // Classifiers work on both images and tables
-  return test
-    .classify(classifier)
-    .errorMatrix('classification_2017', 'classification')
-    .accuracy();
-});
+  var years = getRunYears(config);
+  Map.centerObject(config.aoi, 10);
 
-var chart = ui.Chart.array.values({
-  array: ee.Array(accuracies),
-  axis: 0,
-  xLabels: numTreesList
-  }).setOptions({
-      title: 'Hyperparameter Tuning for the numberOfTrees Parameters',
-      vAxis: {title: 'Validation Accuracy'},
-      hAxis: {title: 'Number of Tress', gridlines: {count: 15}}
-  });
-print(chart)
-
-// Tuning Multiple Parameters
-// We can tune many parameters together using
-// nested map() functions
-// Let's tune 2 parameters
-// numTrees and bagFraction 
-var numTreesList = ee.List.sequence(10, 150, 10);
-var bagFractionList = ee.List.sequence(0.1, 0.9, 0.1);
-
-var accuracies = numTreesList.map(function(numTrees) {
-  return bagFractionList.map(function(bagFraction) {
-    var classifier = ee.Classifier.smileRandomForest({
-      numberOfTrees: numTrees,
-      bagFraction: bagFraction
-    })
-      .train({
-        features: training,
-        classProperty: 'classification_2017',
-        inputProperties: dataset.bandNames()
-      });
+  var yearly = years.map(function(year) {
+    return classifyYear(year, config);
+  });
 
-    // Here we are classifying a table instead of an image
-    // Classifiers work on both images and tables
-    var accuracy = test
-      .classify(classifier)
-      .errorMatrix('classification_2017', 'classification')
-      .accuracy();
-    return ee.Feature(null, {'accuracy': accuracy,
-      'numberOfTrees': numTrees,
-      'bagFraction': bagFraction})
-  })
-}).flatten()
-var resultFc = ee.FeatureCollection(accuracies)
-
-// // Export the result as CSV
-// Export.table.toDrive({
-//   collection: resultFc,
-//   description: 'Multiple_Parameter_Tuning_Results',
-//   folder: 'earthengine',
-//   fileNamePrefix: 'numtrees_bagfraction',
-//   fileFormat: 'CSV'});
-
-// Alternatively we can automatically pick the parameters
-// that result in the highest accuracy
-var resultFcSorted = resultFc.sort('accuracy', false);
-var highestAccuracyFeature = resultFcSorted.first();
-var highestAccuracy = highestAccuracyFeature.getNumber('accuracy');
-var optimalNumTrees = highestAccuracyFeature.getNumber('numberOfTrees');
-var optimalBagFraction = highestAccuracyFeature.getNumber('bagFraction');
-
-// Use the optimal parameters in a model and perform final classification
-var optimalModel = ee.Classifier.smileRandomForest({
-  numberOfTrees: optimalNumTrees,
-  bagFraction: optimalBagFraction
-}).train({
-  features: training,  
-  classProperty: 'classification_2017',
-  inputProperties: dataset.bandNames()
-});
+  // One classification_YYYY band per year
+  var stack = ee.Image(yearly.map(function(result) {
+    return result.classified.rename(getClassificationBand(result.year));
+  }));
+  var filtered = applyTemporalFilter(stack, years, config.multiYear.temporalFilter);
+
+  var vis = getLegendVis(config);
+  years.forEach(function(year) {
+    var band = getClassificationBand(year);
+    Map.addLayer(stack.select(band), vis, 'LULC Classification (' + year + ')', false);
+    Map.addLayer(filtered.select(band), vis, 'LULC Classification (' + year + ', filtro temporal)', false);
+  });
 
-var finalClassification = dataset.classify(optimalModel);
+  show('Classificação multianual (filtro temporal)', filtered);
+
+  var transitions = [];
+  if (config.transitions.enabled) {
+    transitions = getTransitionPairs(config.transitions, years).map(function(pair) {
+      return analyzeTransitions(filtered, pair[0], pair[1], config);
+    });
+  }
+
+  if (shouldExport(config, 'map')) {
+    exportClassifiedMap(filtered, 'maps_' + years[0] + '_' + years[years.length - 1], config);
+  }
+
+  return {
+    config: config,
+    years: years,
+    yearly: yearly,
+    classified: stack,
+    filtered: filtered,
+    transitions: transitions
+  };
+}
 
-// Printing or Displaying the image may time out as it requires
-// extensive computation to find the optimal parameters
 
-// Export the 'finalClassification' to Asset and import the
-// result to view it.
+/******************* CHANGE DETECTION ****************************/
 
+// Transition codes are from * factor + to, with the factor the power of 10
+// above the highest code of the legend (MapBiomas: 100, so 3 -> 15 is 315;
+// custom codes up to 255: 1000)
+function getTransitionFactor(config) {
+  var codes = Object.keys(getLegendClasses(config)).map(Number);
+  return Math.pow(10, String(Math.max.apply(null, codes)).length);
+}
 
+// Year pairs compared by a run
+function getTransitionPairs(settings, years) {
+  return settings.pairs || [[years[0], years[years.length - 1]]];
+}
 
+// Check the transitions config, pushing messages into errors
+function validateTransitions(settings, years, errors) {
+  if (!settings || typeof settings.enabled !== 'boolean') {
+    errors.push('transitions.enabled must be true or false.');
+    return;
+  }
+  if (!settings.enabled) {
+    return;
+  }
+  if (settings.pairs !== null && !(settings.pairs instanceof Array)) {
+    errors.push('transitions.pairs must be null or a list of [fromYear, toYear].');
+    return;
+  }
+  (settings.pairs || []).forEach(function(pair) {
+    if (!(pair instanceof Array) || pair.length !== 2 || !(pair[0] < pair[1]) ||
+        years.indexOf(pair[0]) === -1 || years.indexOf(pair[1]) === -1) {
+      errors.push('transitions.pairs must hold [fromYear, toYear] with classified years and fromYear < toYear, got ' + pair + '.');
+    }
+  });
+  if (years.length < 2 && settings.pairs === null) {
+    errors.push('transitions need at least two classified years.');
+  }
+}
 
+// Name or color of a class code, read from a dictionary of classes
+// (getClassesDict or the classes of the active legend)
+function getClassProperty(classValue, property, classes) {
+  var info = ee.Dictionary(classes).get(ee.Number(classValue).format('%d'), {name: 'Unknown', color: '#000000'});
+  return ee.Dictionary(info).get(property);
+}
 
-/***************************************  POST-PROCESSING ************************************************************/
+// Image of from -> to transition codes between two classified bands
+function createTransitionImage(fromImage, toImage, factor) {
+  return fromImage.multiply(factor).add(toImage).rename('transition');
+}
 
+// Area (km²) of every transition, one feature per from -> to pair
+function computeTransitionAreas(transition, fromYear, toYear, config) {
+  // Group by transition code to sum the area of each transition
+  var groups = sumAreasByClass(transition, 'transition', config);
+
+  var classes = getLegendClasses(config);
+  var factor = getTransitionFactor(config);
+  var features = groups.map(function(item) {
+    item = ee.Dictionary(item);
+    var code = ee.Number(item.get('transition')).round();
+    var fromClass = code.divide(factor).floor();
+    var toClass = code.mod(factor);
+    return ee.Feature(null, {
+      'transition': code,
+      'from_year': fromYear,
+      'to_year': toYear,
+      'from_class': fromClass,
+      'to_class': toClass,
+      'from_name': getClassProperty(fromClass, 'name', classes),
+      'to_name': getClassProperty(toClass, 'name', classes),
+      'area_km2': item.get('sum')
+    });
+  });
 
-//************************************************************************** 
-// Post process by replacing isolated pixels with surrounding value
-//************************************************************************** 
+  return ee.FeatureCollection(features);
+}
 
-// count patch sizes
-var patchsize = classified_2017.connectedPixelCount(80, true);
+// Reshape the transitions into a matrix: one row per from class with the
+// area (km²) of each to class in a to_<code> column. Columns are keyed by
+// code, as names can repeat; to_names holds the name of each column
+function createTransitionMatrix(transitions, config) {
+  var classes = getLegendClasses(config);
+  var fromClasses = ee.List(transitions.aggregate_array('from_class')).distinct().sort();
+  return ee.FeatureCollection(fromClasses.map(function(fromClass) {
+    var row = transitions.filter(ee.Filter.eq('from_class', fromClass));
+    var toClasses = row.aggregate_array('to_class');
+    var columns = toClasses.map(function(code) {
+      return ee.String('to_').cat(ee.Number(code).format('%d'));
+    });
+    var names = toClasses.zip(row.aggregate_array('to_name')).map(function(pair) {
+      pair = ee.List(pair);
+      return ee.Number(pair.get(0)).format('%d').cat(': ').cat(pair.get(1));
+    });
+    var areas = ee.Dictionary.fromLists(columns, row.aggregate_array('area_km2'));
+    return ee.Feature(null, areas
+      .set('from_class', fromClass)
+      .set('from_name', getClassProperty(fromClass, 'name', classes))
+      .set('to_names', names.join('; ')));
+  }));
+}
 
-// run a majority filter
-var filtered = classified_2017.focal_mode({
-    radius: 60,
-    kernelType: 'square',
-    units: 'meters',
-}); 
-  
-// updated image with majority filter where patch size is small
-var connectedClassified =  classified_2017.where(patchsize.lt(70),filtered);
-Map.addLayer(connectedClassified, vis, 
-  'Processed using Connected Pixels');
+// Show a Sankey chart of the transitions in the console
+function showTransitionChart(transitions, fromYear, toYear) {
+  transitions.evaluate(function(fc) {
+    var rows = fc.features.map(function(feature) {
+      var p = feature.properties;
+      return [p.from_name + ' (' + fromYear + ')', p.to_name + ' (' + toYear + ')', p.area_km2];
+    });
+    var dataTable = [['From', 'To', 'Area (km²)']].concat(rows);
+    show(ui.Chart(dataTable, 'Sankey', {
+      title: 'Land cover transitions ' + fromYear + ' - ' + toYear + ' (km²)'
+    }));
+  });
+}
 
+// Compare two classified years: change map, transition areas, matrix and chart
+function analyzeTransitions(stack, fromYear, toYear, config) {
+  var fromImage = stack.select(getClassificationBand(fromYear));
+  var toImage = stack.select(getClassificationBand(toYear));
 
+  var factor = getTransitionFactor(config);
+  var transition = createTransitionImage(fromImage, toImage, factor);
+  var changed = fromImage.neq(toImage);
 
-/******************* ACCURACY ASSESSMENT ****************************/
+  Map.addLayer(changed.selfMask(), {palette: ['ff0000']}, 'Mudanças ' + fromYear + ' - ' + toYear, false);
+  Map.addLayer(transition.updateMask(changed), {min: 0, max: getLegendVis(config).max * (factor + 1), palette: ['440154', '21908d', 'fde725']},
+    'Transições ' + fromYear + ' - ' + toYear, false);
 
+  // Drop unchanged pixels from the statistics when persistence is not wanted
+  var counted = config.transitions.includePersistence ? transition : transition.updateMask(changed);
+  var transitions = computeTransitionAreas(counted, fromYear, toYear, config);
+  var matrix = createTransitionMatrix(transitions, config);
 
-// Test the classifier with the validation set
-var test = classified_2017.sampleRegions({
-  collection: validationGcpStratified,
-  properties: ['classification_2017'],
-  scale: 30,
-  tileScale: 16
-});
+  show('Transition areas (km²) ' + fromYear + ' - ' + toYear, transitions);
+  show('Transition matrix (km²) ' + fromYear + ' - ' + toYear, matrix);
+  showTransitionChart(transitions, fromYear, toYear);
 
+  if (shouldExport(config, 'reports')) {
+    exportTable(matrix, 'transition_matrix_' + fromYear + '_' + toYear, config, 'CSV');
+    exportTable(transitions, 'transition_areas_' + fromYear + '_' + toYear, config, 'CSV');
+  }
 
-// Create a confusion matrix
-var testConfusionMatrix = test.errorMatrix('classification_2017', 'classification');
+  return {transition: transition, changed: changed, transitions: transitions, matrix: matrix};
+}
 
-// Print overall accuraccy
-print('Overall accuracy', testConfusionMatrix.accuracy());
 
-// Print consumer's accuracy
-print('Consumers accuracy', testConfusionMatrix.consumersAccuracy());
+/******************* APPLY A SAVED MODEL ****************************/
 
-// Print producer's accuracy
-print('Producers accuracy', testConfusionMatrix.producersAccuracy());
+// Metadata of a model saved by exportModel, as a client-side object
+function loadModelMetadata(modelId) {
+  var metadata = ee.FeatureCollection(modelId + '_metadata').first().getInfo();
+  if (!metadata) {
+    throw new Error('No metadata found for the model ' + modelId + '.');
+  }
+  return metadata.properties;
+}
 
-// Print Kappa Index
-print('Kappa index', testConfusionMatrix.kappa());
+// Rebuild a saved model from its classifier assets and metadata
+function loadModel(metadata) {
+  var members = metadata.classifiers.split(',').map(function(id, i) {
+    return wrapClassifier(metadata.members.split(',')[i], ee.Classifier.load(id), null);
+  });
 
+  if (metadata.backend !== 'ensemble') {
+    return members[0];
+  }
+  var order = metadata.classes.split(',').map(Number);
+  return combineMembers(members, metadata.ensembleMethod === 'probability', order);
+}
 
+// Compare the predictor names of a model with the predictor bands of the
+// config. The names must be the same: the order is the only difference
+// tolerated, as the mosaic is reselected in the order of the model. Returns
+// true when the order differs
+function checkModelBands(predictors, bandNames) {
+  var missing = predictors.filter(function(band) {return bandNames.indexOf(band) === -1;});
+  var extra = bandNames.filter(function(band) {return predictors.indexOf(band) === -1;});
+  if (missing.length || extra.length) {
+    throw new Error('The model bands do not match the predictors of the config' +
+      (missing.length ? '; missing: ' + missing.join(', ') : '') +
+      (extra.length ? '; not in the model: ' + extra.join(', ') : '') +
+      '. Build the mosaic with the settings of the model, or set predictors to its bands.');
+  }
+  return bandNames.join(',') !== predictors.join(',');
+}
 
-/**************** Assessing the tuner model *******************/
+// Standardized shift of each predictor: (new mean - training mean) /
+// training standard deviation, over random pixels of the new mosaic.
+// Bands beyond apply.shiftThreshold are flagged
+function checkCovariateShift(mosaic, predictors, metadata, config) {
+  var settings = config.apply;
+  var sample = mosaic.select(predictors).sample({
+    region: config.aoi,
+    scale: CLASSIFICATION_GRID.scale,
+    numPixels: settings.sampleSize,
+    seed: config.sampling.seed,
+    tileScale: 16
+  });
+  var means = sample.reduceColumns(ee.Reducer.mean().repeat(predictors.length), predictors).get('mean');
+
+  var shifts = ee.FeatureCollection(predictors.map(function(band, i) {
+    var trainingMean = metadata['mean_' + band];
+    var trainingSD = Math.max(metadata['stdDev_' + band], 1e-6);
+    var newMean = ee.Number(ee.List(means).get(i));
+    var shift = newMean.subtract(trainingMean).divide(trainingSD);
+    return ee.Feature(null, {
+      band: band,
+      training_mean: trainingMean,
+      new_mean: newMean,
+      shift: shift,
+      abs_shift: shift.abs()
+    });
+  })).sort('abs_shift', false);
+
+  var flagged = shifts.filter(ee.Filter.gt('abs_shift', settings.shiftThreshold));
+  show(ee.String('Covariate shift warning: ').cat(ee.Number(flagged.size()).format('%d'))
+    .cat(' of ' + predictors.length + ' predictors differ from the training data by more than ' +
+      settings.shiftThreshold + ' standard deviations'), flagged.aggregate_array('band'));
+  show(ui.Chart.feature.byFeature({
+    features: shifts,
+    xProperty: 'band',
+    yProperties: ['shift']
+  }).setChartType('ColumnChart').setOptions({
+    title: 'Covariate shift (standardized mean difference)',
+    vAxis: {title: 'Shift (training standard deviations)'},
+    legend: {position: 'none'}
+  }));
+  return shifts;
+}
 
-// Test the tuner model with the validation set
-var test_2 = finalClassification.sampleRegions({
-  collection: validationGcpStratified,
-  properties: ['classification_2017'],
-  scale: 30,
-  tileScale: 16
-});
+// Classify config.year over config.aoi with a saved model, without retraining
+function applySavedModel(config) {
+  // Fail fast, before any Earth Engine work starts
+  validateConfig(config);
+
+  var metadata = loadModelMetadata(config.apply.model);
+  if (metadata.legend !== config.legend.mode) {
+    throw new Error('The model uses the "' + metadata.legend + '" legend, the config "' +
+      config.legend.mode + '".');
+  }
+  var predictors = metadata.predictors.split(',');
+  var year = config.year;
+
+  var mosaic = createFeatureStack(year, config).clip(config.aoi);
+  if (checkModelBands(predictors, getInputBands(config))) {
+    show('The mosaic bands are in another order than the model; they are reselected in the model order.');
+  }
+  mosaic = mosaic.select(predictors);
+
+  // Warn before producing the map
+  var shifts = checkCovariateShift(mosaic, predictors, metadata, config);
+
+  var model = loadModel(metadata);
+  var classified = model.classifyImage(mosaic);
+
+  var vis = getLegendVis(config);
+  Map.centerObject(config.aoi, 10);
+  Map.addLayer(classified, vis, 'LULC Classification (' + year + ', ' + metadata.runId + ')');
+  analyzeClassAreas(classified, year, config);
+
+  var results = {config: config, metadata: metadata, model: model, shifts: shifts, classified: classified};
+
+  // Check the map against the reference, when there is one for the year
+  if (config.apply.assess) {
+    var labelBand = getLabelBand(year, config);
+    var reference = applyLegend(loadReference(year, config), config.legend).clip(config.aoi);
+    var samples = createStratifiedSamples(reference, labelBand, config);
+    results.report = createAccuracyReport(classified, samples, labelBand, config, 'Saved model');
+  }
+
+  if (shouldExport(config, 'map')) {
+    exportClassifiedMap(classified, 'map_' + year, config);
+  }
+  return results;
+}
+
+// Check the apply config, pushing messages into errors
+function validateApply(settings, errors) {
+  if (!settings.enabled) {
+    return;
+  }
+  if (typeof settings.model !== 'string' || !settings.model) {
+    errors.push('apply.model must be the asset ID of a model saved by the exports.');
+  }
+  if (!(typeof settings.shiftThreshold === 'number' && settings.shiftThreshold > 0)) {
+    errors.push('apply.shiftThreshold must be a positive number (standard deviations).');
+  }
+  if (!isPositiveInteger(settings.sampleSize)) {
+    errors.push('apply.sampleSize must be a positive integer.');
+  }
+  if (typeof settings.assess !== 'boolean') {
+    errors.push('apply.assess must be true or false.');
+  }
+}
 
 
+/******************* TILED PROCESSING ****************************/
+
+var TILING_SCHEMES = ['grid', 'wrs2'];
+
+// Tiles covering the AOI, each with a 'tile' id and its geometry clipped
+// to the AOI
+function createTiles(config) {
+  var settings = config.tiling;
+  var tiles;
+  if (settings.scheme === 'grid') {
+    tiles = config.aoi.coveringGrid('EPSG:3857', settings.tileSize).map(function(f) {
+      return f.set('tile', ee.String('g').cat(f.get('system:index')));
+    });
+  } else {
+    tiles = ee.FeatureCollection(settings.wrs2).filterBounds(config.aoi).map(function(f) {
+      return f.set('tile', ee.String(ee.Number(f.get(settings.idProperty)).format('%d')));
+    });
+  }
+  return tiles.map(function(f) {
+    return ee.Feature(f.geometry().intersection(config.aoi, 1), {tile: f.get('tile')});
+  });
+}
 
-// Print confusion matrix
-var testConfusionMatrix_tuned = test_2.errorMatrix('classification_2017', 'classification');
+// Asset ID of a tile in the tile collection
+function getTileAssetId(config, tileId) {
+  var name = ('tile_' + tileId + '_' + config.year).replace(/[^A-Za-z0-9_-]/g, '_');
+  return config.tiling.collection + '/' + name;
+}
 
-// Print overall accuracy
-print('Tuned model overall accuracy', testConfusionMatrix_tuned.accuracy());
+// Task description of a tile export: the asset name
+function getTileTaskName(assetId) {
+  return assetId.split('/').pop();
+}
 
-// Print consumer's accuracy
-print('Tuned model consumers accuracy', testConfusionMatrix_tuned.consumersAccuracy());
+// Descriptions of the export tasks still pending or running (client side),
+// so a rerun does not queue a tile whose asset is about to be written
+function getActiveTasks() {
+  try {
+    return ee.data.listOperations().filter(function(operation) {
+      var state = operation.metadata.state;
+      return state === 'PENDING' || state === 'RUNNING';
+    }).map(function(operation) {
+      return operation.metadata.description;
+    });
+  } catch (error) {
+    show('Could not list the running tasks, rerun only after all tile tasks finish: ' + error.message);
+    return [];
+  }
+}
 
-// Print consumer's accuracy
-print('Tuned model producers accuracy', testConfusionMatrix_tuned.producersAccuracy());
+// Tiles of the year already in the tile collection (client side). A missing
+// collection means no tile is done yet
+function getDoneTiles(config) {
+  try {
+    return ee.ImageCollection(config.tiling.collection)
+      .filter(ee.Filter.eq('year', config.year))
+      .aggregate_array('tile')
+      .getInfo();
+  } catch (error) {
+    show('Tile collection not readable yet: ' + error.message);
+    return [];
+  }
+}
 
-// Print Kappa Index
-print('Tuned model Kappa Index', testConfusionMatrix_tuned.kappa());
+// Mosaic, classify and post-process one tile, and queue its export. The
+// tile is processed with an overlap and clipped back, so neighbourhood
+// steps see the pixels across its edges
+function processTile(tile, tileId, model, config) {
+  var settings = config.tiling;
+  var region = tile.buffer(settings.overlap, 1);
+  var tileConfig = extendConfig(config, {aoi: region});
+
+  // Full stack for the post-processing (snic bands need not be predictors)
+  var mosaic = createFeatureStack(config.year, tileConfig).clip(region);
+  var classified = model.classifyImage(mosaic.select(getInputBands(config)));
+  if (config.postProcessing.enabled) {
+    classified = postProcess(classified, mosaic, tileConfig).image;
+  }
+
+  // Same band schema and properties for every tile
+  var image = classified.rename('classification').clip(tile).toUint8().set({
+    tile: tileId,
+    year: config.year,
+    runId: getRunId(config)
+  });
+  var assetId = getTileAssetId(config, tileId);
+  Export.image.toAsset({
+    image: image,
+    description: getTileTaskName(assetId),
+    assetId: assetId,
+    region: tile,
+    crs: CLASSIFICATION_GRID.crs,
+    scale: CLASSIFICATION_GRID.scale,
+    maxPixels: config.exports.maxPixels,
+    pyramidingPolicy: {'.default': 'mode'}
+  });
+}
 
+// Model for the tiles: the saved model of apply.model. A model trained in
+// this run would be a lazy graph, retrained over the whole AOI by every tile
+// task, so it must be an asset
+function getTilingModel(config) {
+  var metadata = loadModelMetadata(config.apply.model);
+  if (metadata.legend !== config.legend.mode) {
+    throw new Error('The model uses the "' + metadata.legend + '" legend, the config "' +
+      config.legend.mode + '".');
+  }
+  checkModelBands(metadata.predictors.split(','), getInputBands(config));
+  return {
+    config: withPredictors(config, metadata.predictors.split(',')),
+    model: loadModel(metadata)
+  };
+}
 
+// Queue a task per tile not yet done and, once every tile is in the
+// collection, mosaic them back into one map
+function runTiled(config) {
+  // Fail fast, before any Earth Engine work starts
+  validateConfig(config);
+
+  var tiles = createTiles(config);
+  var tileIds = tiles.aggregate_array('tile').getInfo();
+  var done = getDoneTiles(config);
+  var tasks = getActiveTasks();
+  var running = tileIds.filter(function(id) {
+    return done.indexOf(id) === -1 && tasks.indexOf(getTileTaskName(getTileAssetId(config, id))) !== -1;
+  });
+  var pending = tileIds.filter(function(id) {
+    return done.indexOf(id) === -1 && running.indexOf(id) === -1;
+  });
+  show('Tiles done: ' + done.length + ' of ' + tileIds.length + ', running: ' + running.length, pending);
+
+  Map.centerObject(config.aoi, 8);
+  Map.addLayer(tiles.filter(ee.Filter.inList('tile', done)).style({color: '1a9641', fillColor: '1a964133'}),
+    {}, 'Tiles prontos');
+  Map.addLayer(tiles.filter(ee.Filter.inList('tile', running)).style({color: 'fdae61', fillColor: 'fdae6133'}),
+    {}, 'Tiles em processamento');
+  Map.addLayer(tiles.filter(ee.Filter.inList('tile', pending)).style({color: 'd7191c', fillColor: 'd7191c33'}),
+    {}, 'Tiles pendentes');
+
+  if (pending.length) {
+    var prepared = getTilingModel(config);
+    pending.forEach(function(id) {
+      var tile = ee.Feature(tiles.filter(ee.Filter.eq('tile', id)).first()).geometry();
+      processTile(tile, id, prepared.model, prepared.config);
+    });
+    return {config: config, tiles: tiles, done: done, running: running, pending: pending};
+  }
+  if (running.length) {
+    return {config: config, tiles: tiles, done: done, running: running, pending: pending};
+  }
+
+  // Every tile is done: reassemble them
+  var assembled = ee.ImageCollection(config.tiling.collection)
+    .filter(ee.Filter.eq('year', config.year))
+    .mosaic()
+    .rename('classification');
+  Map.addLayer(assembled, getLegendVis(config), 'LULC Classification (' + config.year + ', tiles)');
+  if (config.tiling.assemble && shouldExport(config, 'map')) {
+    exportClassifiedMap(assembled, 'map_' + config.year, config);
+  }
+  return {config: config, tiles: tiles, done: done, running: running, pending: pending, classified: assembled};
+}
 
-/**************** Avaliando a imagem pós-processada *******************/
+// Check the tiling config, pushing messages into errors
+function validateTiling(settings, apply, errors) {
+  if (!settings.enabled) {
+    return;
+  }
+  if (typeof apply.model !== 'string' || !apply.model) {
+    errors.push('tiling needs apply.model: train and save a model first (exports.include.models).');
+  }
+  if (TILING_SCHEMES.indexOf(settings.scheme) === -1) {
+    errors.push('tiling.scheme must be one of ' + TILING_SCHEMES.join(', ') + '.');
+  }
+  if (settings.scheme === 'grid' && !(typeof settings.tileSize === 'number' && settings.tileSize > 0)) {
+    errors.push('tiling.tileSize must be a positive number (meters).');
+  }
+  if (settings.scheme === 'wrs2' && (!settings.wrs2 || typeof settings.idProperty !== 'string')) {
+    errors.push('tiling.wrs2 (WRS-2 footprints) and tiling.idProperty must be set for the wrs2 scheme.');
+  }
+  if (typeof settings.overlap !== 'number' || settings.overlap < 0) {
+    errors.push('tiling.overlap must be a number >= 0 (meters).');
+  }
+  if (typeof settings.collection !== 'string' || !settings.collection) {
+    errors.push('tiling.collection must be the ID of an ImageCollection asset.');
+  }
+  if (typeof settings.assemble !== 'boolean') {
+    errors.push('tiling.assemble must be true or false.');
+  }
+}
 
 
-// // Avaliar a acurácia utilizando o conjunto de validação
-// var test3 = connectedClassified.sampleRegions({
-//   collection: validationGcpStratified,
-//   properties: ['classification_2017'],
-//   scale: 30,
-//   tileScale: 16
-// });
+/******************* APP ****************************/
 
+// Panel that receives the output instead of the Console, set by the app
+var outputPanel = null;
 
-// // Geração da Matriz de Confusão para o Conjunto de Teste
-// var testConfusionMatrix_connected = test3.errorMatrix('classification_2017', 'classification');
+// Like print, but into the output panel of the app when it is open. Widgets
+// are added as they are, other values as labels filled once computed
+function show() {
+  var items = Array.prototype.slice.call(arguments);
+  if (!outputPanel) {
+    print.apply(null, items);
+    return;
+  }
+  items.forEach(function(item) {
+    if (item instanceof ui.Widget) {
+      outputPanel.add(item);
+      return;
+    }
+    var label = ui.Label(typeof item === 'string' ? item : '...', {fontSize: '12px', whiteSpace: 'pre-wrap'});
+    outputPanel.add(label);
+    if (item instanceof ee.Collection) {
+      // Whole collections are too long to list
+      item.size().evaluate(function(size) {label.setValue('Collection of ' + size + ' elements');});
+    } else if (item instanceof ee.ComputedObject) {
+      item.evaluate(function(value, error) {label.setValue(error || JSON.stringify(value));});
+    } else if (typeof item !== 'string') {
+      label.setValue(JSON.stringify(item));
+    }
+  });
+}
 
-// // Verificar as métricas de acurácia
+// Map legend of the classes of the active legend
+function createLegend(config) {
+  var legend = ui.Panel({style: {position: 'bottom-left', padding: '8px'}});
+  legend.add(ui.Label('Legenda', {fontWeight: 'bold'}));
+  var classes = getLegendClasses(config);
+  Object.keys(classes).forEach(function(code) {
+    legend.add(ui.Panel([
+      ui.Label('', {backgroundColor: classes[code].color, padding: '8px', margin: '2px 6px 2px 0'}),
+      ui.Label(code + ' - ' + classes[code].name, {margin: '2px 0'})
+    ], ui.Panel.Layout.flow('horizontal')));
+  });
+  return legend;
+}
 
-// // Calcula e imprime a acurácia global do modelo no conjunto de teste
-// print('Acurácia no conjunto de teste (Pós-processado)', testConfusionMatrix_connected.accuracy());
+// Labelled input row of the control panel
+function createInputRow(label, widget) {
+  return ui.Panel([ui.Label(label, {width: '90px'}), widget], ui.Panel.Layout.flow('horizontal'));
+}
 
-// // // Calcula e imprime a acurácia do consumidor (ou acurácia do usuário) para cada classe.
-// // print('Acurácia do Consumidor (Pós-processado)', testConfusionMatrix_connected.consumersAccuracy());
+// Control panel on the left, output panel on the right and the legend on
+// the map. Each Run classifies with the chosen inputs over the config
+function createApp(config) {
+  var lastYear = new Date().getFullYear();
+  var drawing = Map.drawingTools();
+  var aoiLayer = drawing.addLayer([], 'AOI', '#ff0000');
+
+  var aoiSelect = ui.Select({items: ['config.aoi', 'Drawn polygon', 'Asset'], value: 'config.aoi'});
+  var assetBox = ui.Textbox({placeholder: 'FeatureCollection asset ID', style: {shown: false}});
+  aoiSelect.onChange(function(value) {
+    assetBox.style().set('shown', value === 'Asset');
+    if (value === 'Drawn polygon') {
+      drawing.setSelected(aoiLayer);
+      drawing.setShape('polygon');
+      drawing.draw();
+    }
+  });
+  var yearSlider = ui.Slider({min: FIRST_YEAR, max: lastYear, value: config.year, step: 1});
+  var sensorSelect = ui.Select({
+    items: ['auto'].concat(Object.keys(SENSORS)),
+    value: typeof config.sensor === 'string' ? config.sensor : 'auto'
+  });
+  var samplesSlider = ui.Slider({min: 100, max: 10000, value: config.sampling.numTotalPoints, step: 100});
+  var treesSlider = ui.Slider({min: 10, max: 1000, value: config.classifier.numberOfTrees, step: 10});
+  var status = ui.Label('');
+
+  // AOI of the chosen source
+  function getAoi() {
+    var source = aoiSelect.getValue();
+    if (source === 'Drawn polygon') {
+      if (!aoiLayer.geometries().length()) {
+        throw new Error('Draw the AOI on the map first.');
+      }
+      return aoiLayer.toGeometry();
+    }
+    if (source === 'Asset') {
+      if (!assetBox.getValue()) {
+        throw new Error('Give the asset ID of the AOI.');
+      }
+      return ee.FeatureCollection(assetBox.getValue()).geometry();
+    }
+    return config.aoi;
+  }
+
+  // End of a run: the button is usable again
+  function finish(message, error) {
+    status.setValue(message);
+    if (error) {
+      outputPanel.add(ui.Label(error.message, {color: '#d7191c', whiteSpace: 'pre-wrap'}));
+    }
+    run.setDisabled(false);
+  }
+
+  // Queue the run (all its output loads asynchronously) and wait for its
+  // overall accuracy, the last of the main results
+  function runWith(runConfig, sampled) {
+    status.setValue('Classifying...');
+    var results = runPipeline(runConfig, sampled);
+    ee.Feature(results.report.summary).get('overall_accuracy').evaluate(function(accuracy, error) {
+      if (error) {
+        finish('', new Error(error));
+      } else {
+        finish('Done. Overall accuracy: ' + accuracy.toFixed(3) + '. The charts load on the right.');
+      }
+    });
+  }
+
+  var run = ui.Button({label: 'Run', style: {stretch: 'horizontal'}, onClick: function() {
+    outputPanel.clear();
+    Map.layers().reset();
+    run.setDisabled(true);
+    status.setValue('Running...');
+    try {
+      // The tree count is the one of the slider, so no tuning
+      var runConfig = extendConfig(config, {
+        aoi: getAoi(),
+        year: yearSlider.getValue(),
+        sensor: sensorSelect.getValue(),
+        sampling: extendConfig(config.sampling, {numTotalPoints: samplesSlider.getValue()}),
+        classifier: extendConfig(config.classifier, {numberOfTrees: treesSlider.getValue()}),
+        tuning: extendConfig(config.tuning, {enabled: false})
+      });
+      validateConfig(runConfig);
+      if (!runConfig.featureSelection.method) {
+        runWith(runConfig);
+        return;
+      }
+
+      // Select the predictors first with callbacks, then run with them fixed
+      status.setValue('Selecting predictors...');
+      // The samples are drawn once and reused by the classification
+      var sampled = sampleYear(runConfig.year, runConfig);
+      selectFeatures(sampled.training, sampled.labelBand, runConfig, function(selected, error) {
+        if (error) {
+          finish('', error);
+          return;
+        }
+        try {
+          runWith(withPredictors(extendConfig(runConfig, {
+            featureSelection: extendConfig(runConfig.featureSelection, {method: null})
+          }), selected), sampled);
+        } catch (runError) {
+          finish('', runError);
+        }
+      });
+    } catch (error) {
+      finish('', error);
+    }
+  }});
+
+  var controls = ui.Panel({
+    widgets: [
+      ui.Label('LULC Classification', {fontSize: '20px', fontWeight: 'bold'}),
+      createInputRow('AOI', aoiSelect),
+      assetBox,
+      createInputRow('Year', yearSlider),
+      createInputRow('Sensor', sensorSelect),
+      createInputRow('Samples', samplesSlider),
+      createInputRow('Trees', treesSlider),
+      run,
+      status
+    ],
+    style: {width: '320px'}
+  });
+  outputPanel = ui.Panel({style: {width: '420px'}});
+  outputPanel.add(ui.Label('Metrics, importance and area charts of the run appear here.'));
+
+  ui.root.insert(0, controls);
+  ui.root.add(outputPanel);
+  Map.add(createLegend(config));
+  Map.centerObject(config.aoi, 10);
+  return {config: config, controls: controls, output: outputPanel};
+}
 
-// // // Calcula e imprime a acurácia do produtor _tunedpara cada classe.
-// // print('Acurácia do Produtor (Pós-processado)', testConfusionMatrix_connected.producersAccuracy());
 
-// // Calcula e imprime o índice Kappa, que mede a concordância entre as classificações
-// // considerando as classificações aleatórias. Um índice Kappa mais próximo de 1 indica maior concordância.
-// print('Índice Kappa (Pós-processado)', testConfusionMatrix_connected.kappa());
+/******************* RUN THE WORKFLOW ****************************/
 
+// Build the mosaic and the reference of a year, and draw and split the
+// samples
+function sampleYear(year, config) {
+  var labelBand = getLabelBand(year, config);
 
+  // Apply the function to create a mosaic (plus the enabled Sentinel stacks)
+  // and clip it for the region of interest
+  var mosaic = createFeatureStack(year, config).clip(config.aoi);
 
-// //************************************************************************** 
-// // Exporting Results
-// //************************************************************************** 
+  // Reference dataset, collapsed into the active legend
+  var reference = applyLegend(loadReference(year, config), config.legend).clip(config.aoi);
 
-// // Export the classified image to Drive
+  // Flag pixels with too few clear observations
+  var lowCount = mosaic.select(CLEAR_COUNT_BAND).lt(config.cloudMask.minClearObservations);
 
-// // For images having integers (such as class numbers)
-// // we cast the image to floating point data type which
-// // allows the masked values to be saved as NaN values
-// // in the GeoTIFF format.
-// // You can set these to actual NoData values using
-// // GDAL tools after the export
-// // gdal_translate -a_nodata 'nan' input.tif output.tif
-// Export.image.toDrive({
-//   image: finalClassification.clip(geometry).toFloat(),
-//   description: 'Classified__tuned_Image_Export',
-//   folder: 'earthengine',
-//   fileNamePrefix: 'classified',
-//   region: geometry,
-//   scale: 30,
-//   maxPixels: 1e10
-// })
+  // Sampling (optionally only where there are enough clear observations)
+  var sampleable = config.cloudMask.excludeFromSampling ? reference.updateMask(lowCount.not()) : reference;
+  var samples = createStratifiedSamples(sampleable, labelBand, config);
+  var sets = splitSamples(samples, labelBand, config);
 
-// // // Export the results of accuracy asssessment
+  // Combine the mosaic with the reference dataset to
+  // stack target and predictors variables into a single image
+  var dataset = mosaic.addBands(reference);
 
-// // Create a Feature with null geometry and the value we want to export.
-// // Use .array() to convert Confusion Matrix to an Array so it can be
-// // exported in a CSV file
-// var fc = ee.FeatureCollection([
-//   ee.Feature(null, {
-//     'accuracy': testConfusionMatrix_tuned.accuracy(),
-//     'matrix': testConfusionMatrix_tuned.array()
-//   })
-// ]);
+  var training = extractSamples(dataset, sets.training, labelBand);
 
-// print(fc);
+  return {
+    config: config,
+    year: year,
+    labelBand: labelBand,
+    mosaic: mosaic,
+    reference: reference,
+    lowCount: lowCount,
+    points: samples,
+    samples: sets,
+    dataset: dataset,
+    training: training
+  };
+}
 
-// Export.table.toDrive({
-//   collection: fc,
-//   description: 'Accuracy_Assessment_Export',
-//   folder: 'earthengine',
-//   fileNamePrefix: 'accuracy',
-//   fileFormat: 'CSV'
-// });
+// Sample a year and train the classifier on the samples. `sampled` is the
+// result of an earlier sampleYear of the year, reused instead of sampling again
+function trainYear(year, config, sampled) {
+  var result = sampled ? extendConfig(sampled, {config: config}) : sampleYear(year, config);
 
+  // The selected bands become the predictors of the rest of the run
+  if (config.featureSelection.method) {
+    result.config = withPredictors(config, selectFeatures(result.training, result.labelBand, config));
+  }
 
+  result.model = trainClassifier(result.training, result.labelBand, result.config);
+  result.classifier = result.model.classifier;
+  return result;
+}
 
-/******************* ANALYZE AND VISUALIZE CLASS AREAS ****************************/
+// Train a year's model and classify the mosaic with it
+function classifyYear(year, config, sampled) {
+  var result = trainYear(year, config, sampled);
 
-// Calculate class areas
-var areaImage_2017 = ee.Image.pixelArea().divide(1e6).addBands(classified_2017);
+  // Classify the image for the specific year
+  result.classified = result.model.classifyImage(result.mosaic);
+  return result;
+}
 
-// Group by class to sum area for each class
-var areaClass_2017 = areaImage_2017.reduceRegion({
-      reducer: ee.Reducer.sum().group({
-      groupField: 1,
-      groupName: 'classification',
-    }),
-    geometry: geometry,
-    scale: 300,
-    bestEffort: true,
-    maxPixels: 1e13,
-    tileScale:16
-    }); 
-
-var classAreas_2017 = ee.List(areaClass_2017.get('groups'))
-print('Classified area in km² - 2017',classAreas_2017)
-
-
-// Dictionaty with names and colors
-var classesDict = {
-  1: {name: 'Forest', color: '#32a65e'},
-  3: {name: 'Forest Formation', color: '#1f8d49'},
-  4: {name: 'Savanna Formation', color: '#7dc975'},
-  5: {name: 'Mangrove', color: '#04381d'},
-  6: {name: 'Floodable Forest (beta)', color: '#026975'},
-  49: {name: 'Wooded Sandbank Vegetation', color: '#02d659'},
-  10: {name: 'Non Forest Natural Formation', color: '#ad975a'},
-  11: {name: 'Wetland', color: '#519799'},
-  12: {name: 'Grassland', color: '#d6bc74'},
-  32: {name: 'Hypersaline Tidal Flat', color: '#fc8114'},
-  29: {name: 'Rocky Outcrop', color: '#ffaa5f'},
-  50: {name: 'Herbaceous Sandbank Vegetation', color: '#ad5100'},
-  13: {name: 'Other non Forest Formations', color: '#d89f5c'},
-  14: {name: 'Farming', color: '#FFFFB2'},
-  15: {name: 'Pasture', color: '#edde8e'},
-  18: {name: 'Agriculture', color: '#E974ED'},
-  19: {name: 'Temporary Crop', color: '#C27BA0'},
-  39: {name: 'Soybean', color: '#f5b3c8'},
-  20: {name: 'Sugar cane', color: '#db7093'},
-  40: {name: 'Rice', color: '#c71585'},
-  62: {name: 'Cotton (beta)', color: '#ff69b4'},
-  41: {name: 'Other Temporary Crops', color: '#f54ca9'},
-  36: {name: 'Perennial Crop', color: '#d082de'},
-  46: {name: 'Coffee', color: '#d68fe2'},
-  47: {name: 'Citrus', color: '#9932cc'},
-  35: {name: 'Palm Oil (beta)', color: '#9065d0'},
-  48: {name: 'Other Perennial Crops', color: '#e6ccff'},
-  9: {name: 'Forest Plantation', color: '#7a5900'},
-  21: {name: 'Mosaic of Uses', color: '#ffefc3'},
-  22: {name: 'Non vegetated area', color: '#d4271e'},
-  23: {name: 'Beach, Dune and Sand Spot', color: '#ffa07a'},
-  24: {name: 'Urban Area', color: '#d4271e'},
-  30: {name: 'Mining', color: '#9c0027'},
-  25: {name: 'Other non Vegetated Areas', color: '#db4d4f'},
-  26: {name: 'Water', color: '#0000FF'},
-  33: {name: 'River, Lake and Ocean', color: '#2532e4'},
-  31: {name: 'Aquaculture', color: '#091077'},
-  27: {name: 'Not Observed', color: '#ffffff'},
-  0: {name: 'Out of area of interest', color: '#808080'}
-};
+function runPipeline(config, sampled) {
+  // Fail fast, before any Earth Engine work starts
+  validateConfig(config);
 
+  var year = config.year;
+  var result = classifyYear(year, config, sampled);
+  // Carries the predictors chosen by the feature selection
+  config = result.config;
+  var labelBand = result.labelBand;
+  var sets = result.samples;
+  var classified = result.classified;
 
+  var vis = getLegendVis(config);
 
-// Add name and color for each class
-var areaListWithInfo = classAreas_2017.map(function(item) {
-  item = ee.Dictionary(item);
-  var classValue = ee.Number(item.get('classification'));
-  var areaHa = item.get('sum');
-  
-  var classInfo = ee.Dictionary(classesDict).get(classValue);
-  return ee.Feature(null, {
-    'classification': classValue,
-    'sum': areaHa,
-    'name': ee.Dictionary(classInfo).get('name'),
-    'color': ee.Dictionary(classInfo).get('color')
-  });
-});
+  // Show the mosaic on the map
+  Map.centerObject(config.aoi, 10);
+  Map.addLayer(result.mosaic, {bands: ['RED_median', 'GREEN_median', 'BLUE_median'], min: 0, max: 0.3}, 'Mosaico ' + year);
 
-// Transform it into a feature collection
-var areaFeatureCollection = ee.FeatureCollection(areaListWithInfo);
-print('Lista de áreas por classe com informações:', areaFeatureCollection);
-
-
-// Create a pizza chart
-var pieChart = ui.Chart.feature.byFeature({
-  features: areaFeatureCollection,
-  xProperty: 'name', 
-  yProperties: ['sum'] 
-}).setChartType('PieChart') 
-.setOptions({
-  title: 'Percentage of Area by Land Use Class - 2017',
-  slices: areaFeatureCollection.aggregate_array('color').getInfo().map(function(color, index) {
-    return { color: color };
-  }),
-  pieHole:0.3
-});
+  // Show the reference dataset on the map
+  Map.addLayer(result.reference,vis,'Uso e ocupação do solo - ' + year)
 
-// Show the chart in the console
-print(pieChart);
-
-// Create a table based on the feature collection
-var chart_table_2017 = ui.Chart.feature.byFeature({
-  features: areaFeatureCollection, 
-  xProperty: 'name', 
-  yProperties: ['sum'] 
-}).setChartType('Table')
-.setOptions({
-  title: 'Área das Classes em 2017',
-  columns: [
-    { label: 'Classe de Uso do Solo', type: 'string' },
-    { label: 'Área (km²)', type: 'number' }
-  ]
-});
+  // Show the pixels with too few clear observations
+  Map.addLayer(result.mosaic.select(CLEAR_COUNT_BAND), {min: 0, max: 40, palette: ['d7191c', 'ffffbf', '1a9641']},
+    'Observações válidas - ' + year, false);
+  Map.addLayer(result.lowCount.selfMask(), {palette: ['ff00ff']}, 'Poucas observações válidas - ' + year, false);
 
-// Show the table in the console
-print(chart_table_2017, 'Área das Classes em 2017');
+  // Exploratory data analysis
+  summarizeReferenceAreas(result.reference, year, config);
 
+  // Print the first 100 samples in the console
+  show('Check the samples', result.training.limit(100));
 
+  if (config.separability.enabled) {
+    var separability = analyzeSeparability(result.training, labelBand, config);
+  }
 
+  if (config.probability.enabled) {
+    var confidence = analyzeConfidence(result, config);
+    if (config.probability.maskLowConfidence) {
+      classified = classified.updateMask(confidence.lowConfidence.not());
+    }
+  }
+
+  Map.addLayer(classified,vis, 'LULC Classification (' + year + ')')
+
+  // Only tree-based backends report variable importance
+  if (TREE_BACKENDS.indexOf(config.backend) !== -1) {
+    showFeatureImportance(result.classifier);
+  }
+
+  var results = {
+    config: config,
+    mosaic: result.mosaic,
+    reference: result.reference,
+    samples: sets,
+    model: result.model,
+    classifier: result.classifier,
+    classified: classified
+  };
+
+  if (config.probability.enabled) {
+    results.confidence = confidence;
+  }
+  if (config.separability.enabled) {
+    results.separability = separability;
+  }
+
+  if (config.tuning.enabled) {
+    results.tuning = tuneHyperparameters(result.dataset, sets.training, labelBand, config);
+  }
+
+  if (config.comparison.enabled) {
+    results.comparison = compareBackends(result.training,
+      extractSamples(result.dataset, sets.validation, labelBand), labelBand, config);
+  }
+
+  if (config.crossValidation.enabled) {
+    results.crossValidation = crossValidate(result.dataset, result.points, labelBand, config);
+  }
+
+  if (config.postProcessing.enabled) {
+    var chain = postProcess(classified, result.mosaic, config);
+    results.postProcessed = chain.image;
+    chain.steps.forEach(function(step, i) {
+      Map.addLayer(step.image, vis, step.title, i === chain.steps.length - 1);
+    });
+  }
+
+  // Same report for the raw, tuned and post-processed maps
+  results.report = createAccuracyReport(classified, sets.validation, labelBand, config, 'Classification');
+  results.confusionMatrix = results.report.matrix;
+  results.areaAccuracy = assessAreaAccuracy(classified, sets.validation, labelBand, config, 'Classification');
+  results.levelConfusionMatrices = assessAccuracyByLevel(classified, sets.validation, labelBand, config, 'Classification');
+  if (results.tuning) {
+    results.tunedReport = createAccuracyReport(results.tuning.classification, sets.validation, labelBand, config, 'Tuned model');
+    results.tunedConfusionMatrix = results.tunedReport.matrix;
+    results.tunedAreaAccuracy = assessAreaAccuracy(results.tuning.classification, sets.validation, labelBand, config, 'Tuned model');
+  }
+  // The accuracy after every post-processing step, to compare with the raw map
+  if (config.postProcessing.enabled) {
+    results.postProcessingReports = chain.steps.map(function(step) {
+      return createAccuracyReport(step.image, sets.validation, labelBand, config, step.title);
+    });
+    results.postProcessedReport = results.postProcessingReports[chain.steps.length - 1];
+    results.postProcessedAreaAccuracy = assessAreaAccuracy(results.postProcessed, sets.validation, labelBand, config, 'Post-processed');
+  }
+
+  analyzeClassAreas(classified, year, config);
+
+  exportRun(results, result, config);
+
+  return results;
+}
 
+var results = config.app.enabled ? createApp(config) :
+  config.tiling.enabled ? runTiled(config) :
+  config.apply.enabled ? applySavedModel(config) :
+  config.multiYear.enabled ? runMultiYear(config) : runPipeline(config);